@@ -0,0 +1,44 @@
+import { formatBranchName, slugify } from '../branch.js';
+import { getTicketFromBranch } from '../git.js';
+
+describe('slugify', () => {
+  test('lower-cases text and joins words with dashes', () => {
+    expect(slugify('Add Login form!')).toBe('add-login-form');
+    expect(slugify('  --Fix: the   API--  ')).toBe('fix-the-api');
+  });
+
+  test('cuts long slugs at a word boundary', () => {
+    const slug = slugify('make the session refresh logic survive flaky network connections');
+
+    expect(slug).toBe('make-the-session-refresh-logic-survive');
+    expect(slug.length).toBeLessThanOrEqual(40);
+  });
+
+  test('cuts a single long word at the limit', () => {
+    expect(slugify('x'.repeat(50))).toBe('x'.repeat(40));
+  });
+});
+
+describe('formatBranchName', () => {
+  test('fills in every placeholder', () => {
+    const name = formatBranchName('<type>/<scope>-<ticket>-<slug>', { type: 'feat', scope: 'UI', ticket: 'ABC-123', slug: 'Login form' });
+
+    expect(name).toBe('feat/ui-ABC-123-login-form');
+  });
+
+  test('drops an empty placeholder with the separator after it', () => {
+    expect(formatBranchName('<type>/<ticket>-<slug>', { type: 'fix', slug: 'typo' })).toBe('fix/typo');
+    expect(formatBranchName('<type>/<slug>-<ticket>', { type: 'fix', slug: 'typo' })).toBe('fix/typo');
+  });
+
+  test('writes issue numbers so the ticket is found again', () => {
+    const name = formatBranchName('<type>/<ticket>-<slug>', { type: 'fix', ticket: '#42', slug: 'typo' });
+
+    expect(name).toBe('fix/issue-42-typo');
+    expect(getTicketFromBranch(name)).toBe('#42');
+  });
+
+  test('strips characters git does not allow from the ticket', () => {
+    expect(formatBranchName('<ticket>/<slug>', { ticket: 'AB C~1^', slug: 'x' })).toBe('ABC1/x');
+  });
+});
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadEnvironment, loadConfigFiles, applyCommandLineSettings, getConfigSource, applyLegacyAliases } from '../config.js';
+
+const { jest } = import.meta;
+
+// Deprecation warnings go to the console; keep them out of the test output
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('config layering', () => {
+  const savedEnv = { ...process.env };
+  let dir;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pushscript-config-'));
+    const configHome = path.join(dir, 'home');
+    fs.mkdirSync(path.join(configHome, 'pushscript'), { recursive: true });
+
+    Object.keys(process.env)
+      .filter(key => key.startsWith('PUSHSCRIPT'))
+      .forEach(key => delete process.env[key]);
+    process.env.XDG_CONFIG_HOME = configHome;
+    process.env.PUSHSCRIPT_LLM_TIMEOUT = '1000';
+
+    fs.writeFileSync(path.join(dir, '.env.local'), 'PUSHSCRIPT_LLM_MODEL=env-file-model\nPUSHSCRIPT_LLM_TIMEOUT=5000\n');
+    fs.writeFileSync(path.join(configHome, 'pushscript', 'config.json'), JSON.stringify({ provider: 'anthropic', candidates: 5 }));
+    fs.writeFileSync(path.join(dir, '.pushscriptrc'), JSON.stringify({
+      provider: 'openai',
+      model: 'repo-model',
+      timeout: 2000,
+      defaultBranch: 'develop',
+      modelTokenBudgets: { 'llama3.1': 8000, 'gpt-4o': 30000 }
+    }));
+
+    loadEnvironment(dir);
+    await loadConfigFiles(dir);
+  });
+
+  afterAll(() => {
+    Object.keys(process.env).forEach(key => delete process.env[key]);
+    Object.assign(process.env, savedEnv);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the process environment wins over .env files and config files', () => {
+    expect(process.env.PUSHSCRIPT_LLM_TIMEOUT).toBe('1000');
+    expect(getConfigSource('PUSHSCRIPT_LLM_TIMEOUT')).toBe('process environment');
+  });
+
+  test('.env.local wins over config files', () => {
+    expect(process.env.PUSHSCRIPT_LLM_MODEL).toBe('env-file-model');
+    expect(getConfigSource('PUSHSCRIPT_LLM_MODEL')).toBe('.env.local');
+  });
+
+  test('the user config wins over the repository config', () => {
+    expect(process.env.PUSHSCRIPT_LLM_PROVIDER).toBe('anthropic');
+    expect(getConfigSource('PUSHSCRIPT_LLM_PROVIDER')).toBe('user config');
+    expect(process.env.PUSHSCRIPT_CANDIDATES).toBe('5');
+  });
+
+  test('the repository config fills in what nothing else sets', () => {
+    expect(process.env.PUSHSCRIPT_DEFAULT_BRANCH).toBe('develop');
+    expect(process.env.PUSHSCRIPT_MODEL_TOKEN_BUDGETS).toBe('llama3.1=8000,gpt-4o=30000');
+    expect(getConfigSource('PUSHSCRIPT_DEFAULT_BRANCH')).toBe('repository config');
+  });
+
+  test('unset keys have no source', () => {
+    expect(getConfigSource('PUSHSCRIPT_SENSITIVE_FILES')).toBeNull();
+  });
+
+  test('command line settings win over everything', () => {
+    applyCommandLineSettings({ model: 'cli-model', provider: undefined });
+
+    expect(process.env.PUSHSCRIPT_LLM_MODEL).toBe('cli-model');
+    expect(getConfigSource('PUSHSCRIPT_LLM_MODEL')).toBe('command line');
+    expect(process.env.PUSHSCRIPT_LLM_PROVIDER).toBe('anthropic');
+  });
+});
+
+describe('applyLegacyAliases', () => {
+  test('copies deprecated keys onto unset canonical keys only', () => {
+    const env = { PUSHSCRIPTS_MODEL: 'old-model', PUSHSCRIPTS_MODEL_PROVIDER: 'openai', PUSHSCRIPT_LLM_PROVIDER: 'groq' };
+
+    expect(applyLegacyAliases(env)).toEqual(['PUSHSCRIPTS_MODEL_PROVIDER', 'PUSHSCRIPTS_MODEL']);
+    expect(env.PUSHSCRIPT_LLM_MODEL).toBe('old-model');
+    expect(env.PUSHSCRIPT_LLM_PROVIDER).toBe('groq');
+  });
+});
@@ -0,0 +1,112 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateCommitCandidates } from '../index.js';
+import { getStagedChanges } from '../git.js';
+
+const { jest } = import.meta;
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'generate.json');
+
+// Run with PUSHSCRIPT_RECORD=1 and a real provider to record the fixture again after a prompt change
+const recording = ['1', 'true'].includes((process.env.PUSHSCRIPT_RECORD || '').toLowerCase());
+
+// Fixed identity and dates for the commit the test makes
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_AUTHOR_DATE: '2024-01-01T00:00:00Z',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_COMMITTER_DATE: '2024-01-01T00:00:00Z'
+};
+
+const AUTH_BEFORE = `export function login(user, password) {
+  return createSession(user, password);
+}
+
+export function logout(session) {
+  session.destroy();
+}
+`;
+
+const AUTH_AFTER = `export function login(user, password) {
+  return createSession(user, password, { expiresIn: '1h' });
+}
+`;
+
+describe('generateCommitCandidates with recorded responses', () => {
+  const savedEnv = { ...process.env };
+  const savedCwd = process.cwd();
+  let dir;
+
+  // Jest gives tests their own process.env, which child processes do not inherit
+  const git = (...args) => execFileSync('git', args, { cwd: dir, env: { ...process.env }, stdio: ['pipe', 'pipe', 'pipe'] }).toString();
+
+  beforeAll(() => {
+    // The engine reports progress and fallbacks on the console; keep it out of the test output
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pushscript-generate-'));
+
+    Object.keys(process.env)
+      .filter(key => !recording && key.startsWith('PUSHSCRIPT'))
+      .forEach(key => delete process.env[key]);
+    Object.assign(process.env, GIT_ENV, {
+      PUSHSCRIPT_FIXTURES: FIXTURES,
+      PUSHSCRIPT_USAGE_LEDGER: 'off',
+      PUSHSCRIPT_CACHE_TTL: '0'
+    });
+    if (!recording) {
+      process.env.PUSHSCRIPT_LLM_PROVIDER = 'replay';
+    }
+
+    git('init', '-q', '-b', 'feat/ABC-7-sessions');
+    // The engine's own git calls see the user's global config; keep it from changing the diff
+    git('config', 'diff.noprefix', 'false');
+    git('config', 'diff.mnemonicPrefix', 'false');
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'src', 'auth.js'), AUTH_BEFORE);
+    git('add', '-A');
+    git('commit', '-q', '-m', 'feat(auth): add login and logout');
+    fs.writeFileSync(path.join(dir, 'src', 'auth.js'), AUTH_AFTER);
+    git('add', '-A');
+
+    process.chdir(dir);
+  });
+
+  afterAll(() => {
+    process.chdir(savedCwd);
+    Object.keys(process.env).forEach(key => delete process.env[key]);
+    Object.assign(process.env, savedEnv);
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('finishes the recorded message with the breaking change and the branch ticket', async () => {
+    const [message, ...others] = await generateCommitCandidates(getStagedChanges(), 1, '', { cache: false });
+
+    expect(others).toEqual([]);
+    // The recorded response is fenced like code and has a body longer than 72 columns
+    expect(message).toBe([
+      'feat(auth)!: expire sessions and drop explicit logout',
+      '',
+      'Sessions created by login now expire after an hour, so the separate',
+      'logout call is no longer needed and has been removed.',
+      '',
+      'BREAKING CHANGE: removes the export logout (src/auth.js)',
+      'Refs: ABC-7'
+    ].join('\n'));
+  });
+
+  // Only meaningful when replaying; while recording the provider answers every prompt
+  (recording ? test.skip : test)('falls back to the offline message when nothing was recorded for the prompt', async () => {
+    const [message] = await generateCommitCandidates(getStagedChanges(), 1, 'a hint nobody recorded', { cache: false });
+
+    expect(message).toMatch(/^\w+(\([^)]*\))?!?: /);
+    expect(message).toContain('Refs: ABC-7');
+  });
+});
@@ -0,0 +1,90 @@
+import { parseStatus, parseNameStatus, getTicketFromBranch } from '../git.js';
+
+const HASH = '0123456789abcdef0123456789abcdef01234567';
+
+describe('parseStatus', () => {
+  test('reads ordinary, renamed, untracked and conflicted entries', () => {
+    const output = [
+      `1 .M N... 100644 100644 100644 ${HASH} ${HASH} src/a.js`,
+      `1 A. N... 000000 100644 100644 ${'0'.repeat(40)} ${HASH} docs/new file.md`,
+      `2 R. N... 100644 100644 100644 ${HASH} ${HASH} R087 src/b.js`,
+      'src/old-b.js',
+      '? notes.txt',
+      `u UU N... 100644 100644 100644 100644 ${HASH} ${HASH} ${HASH} package.json`,
+      ''
+    ].join('\0');
+
+    const entries = parseStatus(output);
+
+    expect(entries.map(entry => entry.path)).toEqual(['src/a.js', 'docs/new file.md', 'src/b.js', 'notes.txt', 'package.json']);
+    expect(entries[0]).toMatchObject({ index: '.', worktree: 'M', staged: false, unstaged: true });
+    expect(entries[1]).toMatchObject({ index: 'A', staged: true, unstaged: false });
+    expect(entries[2]).toMatchObject({ origPath: 'src/old-b.js', kind: 'rename', score: 87, staged: true });
+    expect(entries[3]).toMatchObject({ untracked: true, staged: false, unstaged: false });
+    expect(entries[4]).toMatchObject({ conflicted: true, staged: false, unstaged: false });
+  });
+
+  test('describes submodule changes', () => {
+    const [entry] = parseStatus(`1 .M SC.U 160000 160000 160000 ${HASH} ${HASH} vendor/lib\0`);
+
+    expect(entry.submodule).toEqual({ commitChanged: true, trackedChanges: false, untrackedChanges: true });
+  });
+
+  test('returns nothing for a clean tree', () => {
+    expect(parseStatus('')).toEqual([]);
+  });
+});
+
+describe('parseNameStatus', () => {
+  test('reads plain changes, renames and copies', () => {
+    const output = ['M', 'src/a.js', 'D', 'src/gone.js', 'R100', 'src/old.js', 'src/new.js', 'C075', 'src/base.js', 'src/copy.js', ''].join('\0');
+
+    expect(parseNameStatus(output)).toEqual([
+      { status: 'M', file: 'src/a.js', origPath: null },
+      { status: 'D', file: 'src/gone.js', origPath: null },
+      { status: 'R', file: 'src/new.js', origPath: 'src/old.js' },
+      { status: 'C', file: 'src/copy.js', origPath: 'src/base.js' }
+    ]);
+  });
+});
+
+describe('getTicketFromBranch', () => {
+  const pattern = process.env.PUSHSCRIPT_TICKET_PATTERN;
+
+  afterEach(() => {
+    if (pattern === undefined) {
+      delete process.env.PUSHSCRIPT_TICKET_PATTERN;
+    } else {
+      process.env.PUSHSCRIPT_TICKET_PATTERN = pattern;
+    }
+  });
+
+  test.each([
+    ['feat/ABC-123-login', 'ABC-123'],
+    ['ABC-9', 'ABC-9'],
+    ['fix/issue-42-typo', '#42'],
+    ['gh-7', '#7'],
+    ['fix/#8-crash', '#8'],
+    ['hotfix/2024-10-19-login', null],
+    ['release/1.2.3', null],
+    ['main', null],
+    [null, null]
+  ])('%s gives %s', (branch, ticket) => {
+    delete process.env.PUSHSCRIPT_TICKET_PATTERN;
+    expect(getTicketFromBranch(branch)).toBe(ticket);
+  });
+
+  test('uses PUSHSCRIPT_TICKET_PATTERN instead of the built-in patterns', () => {
+    process.env.PUSHSCRIPT_TICKET_PATTERN = '(PAY-\\d+)';
+    expect(getTicketFromBranch('feature/pay-PAY-88-refunds')).toBe('PAY-88');
+    expect(getTicketFromBranch('feat/ABC-123-login')).toBeNull();
+
+    process.env.PUSHSCRIPT_TICKET_PATTERN = 'task(\\d+)';
+    expect(getTicketFromBranch('fix/task55')).toBe('#55');
+  });
+
+  test('rejects an invalid PUSHSCRIPT_TICKET_PATTERN', () => {
+    process.env.PUSHSCRIPT_TICKET_PATTERN = '(';
+    expect(() => getTicketFromBranch('fix/x')).toThrow('PUSHSCRIPT_TICKET_PATTERN is not a valid regular expression');
+  });
+});
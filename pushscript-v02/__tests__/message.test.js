@@ -0,0 +1,135 @@
+import { parseCommitMessage, formatCommitMessage, validateCommitMessage, finalizeCommitMessage } from '../message.js';
+
+// The built-in rules, written out so the tests do not depend on a commitlint config nearby
+const RULES = {
+  'type-enum': [2, 'always', ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore']],
+  'type-case': [2, 'always', 'lower-case'],
+  'scope-case': [2, 'always', 'lower-case'],
+  'header-max-length': [2, 'always', 80],
+  'body-leading-blank': [2, 'always'],
+  'body-max-line-length': [1, 'always', 72],
+  'footer-leading-blank': [1, 'always']
+};
+
+describe('parseCommitMessage', () => {
+  test('splits header, body and footers', () => {
+    const parts = parseCommitMessage('feat(auth): add login\n\nUsers can sign in.\n\nSecond paragraph.\n\nRefs: ABC-1\nReviewed-by: Sam');
+
+    expect(parts).toMatchObject({
+      header: 'feat(auth): add login',
+      body: 'Users can sign in.\n\nSecond paragraph.',
+      footer: 'Refs: ABC-1\nReviewed-by: Sam',
+      breaking: null,
+      bodyLeadingBlank: true,
+      footerLeadingBlank: true
+    });
+    expect(parts.footers).toEqual([
+      { token: 'Refs', separator: ': ', value: 'ABC-1' },
+      { token: 'Reviewed-by', separator: ': ', value: 'Sam' }
+    ]);
+  });
+
+  test('starts the footer at BREAKING CHANGE and keeps its continuation lines', () => {
+    const parts = parseCommitMessage('feat: drop v1\n\nBody.\n\nBREAKING CHANGE: the v1 API is gone\nuse v2 instead\nCloses #4');
+
+    expect(parts.body).toBe('Body.');
+    expect(parts.breaking).toBe('the v1 API is gone\nuse v2 instead');
+    expect(parts.footers.map(footer => footer.token)).toEqual(['BREAKING CHANGE', 'Closes']);
+    expect(parts.footers[1]).toMatchObject({ separator: ' #', value: '4' });
+  });
+
+  test('treats a last paragraph that is not a footer as body', () => {
+    const parts = parseCommitMessage('fix: typo\n\nJust a note.');
+
+    expect(parts.body).toBe('Just a note.');
+    expect(parts.footers).toEqual([]);
+  });
+
+  test('notices a missing blank line before the body', () => {
+    expect(parseCommitMessage('fix: typo\nno gap').bodyLeadingBlank).toBe(false);
+  });
+
+  test('round-trips through formatCommitMessage', () => {
+    const message = 'feat: x\n\nBody here.\n\nBREAKING CHANGE: gone\nRefs: ABC-1';
+
+    expect(formatCommitMessage(parseCommitMessage(message))).toBe(message);
+  });
+});
+
+describe('validateCommitMessage', () => {
+  test('accepts a conventional message', () => {
+    expect(validateCommitMessage('feat(api): add pagination', RULES)).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('rejects an empty or unconventional message', () => {
+    expect(validateCommitMessage('  ', RULES)).toMatchObject({ valid: false, errors: ['Commit message is empty'] });
+    expect(validateCommitMessage('Add pagination', RULES).valid).toBe(false);
+  });
+
+  test('reports every violated rule', () => {
+    const { valid, errors } = validateCommitMessage(`Feature(API): ${'x'.repeat(80)}\nno blank line`, RULES);
+
+    expect(valid).toBe(false);
+    expect(errors.length).toBeGreaterThanOrEqual(4);
+  });
+
+  test('warns about a level 1 rule without rejecting the message', () => {
+    const rules = { ...RULES, 'header-max-length': [1, 'always', 20] };
+    const { valid, warnings } = validateCommitMessage('feat(api): add cursor pagination', rules);
+
+    expect(valid).toBe(true);
+    expect(warnings).toHaveLength(1);
+  });
+
+  test('ignores a disabled rule', () => {
+    const rules = { ...RULES, 'type-enum': [0, 'always', ['feat']] };
+
+    expect(validateCommitMessage('perf: cache lookups', rules).valid).toBe(true);
+  });
+
+  test('warns about long body lines without rejecting the message', () => {
+    const { valid, warnings } = validateCommitMessage(`fix: wrap\n\n${'word '.repeat(20)}`, RULES);
+
+    expect(valid).toBe(true);
+    expect(warnings).toHaveLength(1);
+  });
+
+  test('rejects long body lines when the rules make it an error', () => {
+    const rules = { ...RULES, 'body-max-line-length': [2, 'always', 72] };
+
+    expect(validateCommitMessage(`fix: wrap\n\n${'word '.repeat(20)}`, rules).valid).toBe(false);
+  });
+
+  test('requires BREAKING CHANGE to say what breaks', () => {
+    const { valid, errors } = validateCommitMessage('feat: drop v1\n\nBREAKING CHANGE:', RULES);
+
+    expect(valid).toBe(false);
+    expect(errors).toContain('The BREAKING CHANGE footer must say what breaks');
+  });
+});
+
+describe('finalizeCommitMessage', () => {
+  const trailer = process.env.PUSHSCRIPT_TICKET_TRAILER;
+
+  beforeEach(() => {
+    delete process.env.PUSHSCRIPT_TICKET_TRAILER;
+  });
+
+  afterAll(() => {
+    if (trailer !== undefined) process.env.PUSHSCRIPT_TICKET_TRAILER = trailer;
+  });
+
+  test('adds the breaking change and ticket footers once', () => {
+    const options = { ticket: 'ABC-7', removedExports: [{ name: 'logout', path: 'src/auth.js' }], rules: RULES };
+    const message = finalizeCommitMessage('feat(auth): simplify sessions', options);
+
+    expect(message).toBe('feat(auth): simplify sessions\n\nBREAKING CHANGE: removes the export logout (src/auth.js)\nRefs: ABC-7');
+    expect(finalizeCommitMessage(message, options)).toBe(message);
+  });
+
+  test('leaves out the trailer when PUSHSCRIPT_TICKET_TRAILER is off', () => {
+    process.env.PUSHSCRIPT_TICKET_TRAILER = 'off';
+
+    expect(finalizeCommitMessage('fix: typo', { ticket: '#42', rules: RULES })).toBe('fix: typo');
+  });
+});
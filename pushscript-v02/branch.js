@@ -0,0 +1,154 @@
+/**
+ * New branches for PushScript (`push --new-branch`)
+ * Names a branch for the uncommitted work from a pattern such as "feat/<ticket>-<slug>", with the
+ * type and slug written by the provider, and moves the work onto it
+ */
+
+import { execFileSync, spawnSync } from 'child_process';
+import { callLLM } from './llm.js';
+import { getProviderChain, getProviderConfig, hasRequiredCredentials } from './providers.js';
+import { estimateTokens, getTokenBudget } from './diff.js';
+import { generateSimpleCommitMessage } from './git.js';
+import { inferScope } from './workspace.js';
+import { getAllowedTypes, getCommitRules } from './rules.js';
+import { logInfo, logWarning } from './formatting.js';
+
+// Slugs longer than this are cut at a word boundary
+const MAX_SLUG_LENGTH = 40;
+
+/**
+ * Branch name pattern from PUSHSCRIPT_BRANCH_PATTERN
+ * @returns {string} Pattern with <type>, <scope>, <ticket> and <slug> placeholders
+ */
+export function getBranchPattern() {
+  return process.env.PUSHSCRIPT_BRANCH_PATTERN || '<type>/<slug>';
+}
+
+/**
+ * Turn text into a branch-safe slug
+ * @param {string} text Free text, e.g. "Add login form"
+ * @returns {string} e.g. "add-login-form"
+ */
+export function slugify(text) {
+  const slug = String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+  const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+  return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : MAX_SLUG_LENGTH);
+}
+
+/**
+ * Ticket as it appears in a branch name; issue numbers keep an "issue-" prefix so that
+ * getTicketFromBranch finds them again
+ * @param {string|null} ticket e.g. "ABC-123", "#42" or "42"
+ * @returns {string} e.g. "ABC-123" or "issue-42"
+ */
+function formatTicket(ticket) {
+  const value = String(ticket || '').replace(/[^A-Za-z0-9#_-]/g, '').replace(/^#/, '');
+  return /^\d+$/.test(value) ? `issue-${value}` : value;
+}
+
+/**
+ * Fill in a branch pattern; an empty placeholder takes the separator after it along
+ * @param {string} pattern Pattern from getBranchPattern
+ * @param {Object} values { type, scope, ticket, slug }
+ * @returns {string} Branch name, e.g. "feat/ABC-123-login-form"
+ */
+export function formatBranchName(pattern, values) {
+  return pattern
+    .replace(/<(type|scope|ticket|slug)>([-_/.]?)/g, (match, name, separator) => {
+      const value = name === 'ticket' ? formatTicket(values.ticket) : slugify(values[name] || '');
+      return value ? `${value}${separator}` : '';
+    })
+    .replace(/[-_/.]+$/, '');
+}
+
+/**
+ * Ask the provider for the type and slug of a branch, or derive them from the offline message
+ * @param {Array} changes Array of changes from getGitStatus()
+ * @param {string} diff Diff of the uncommitted work
+ * @returns {Promise<Object>} { type, slug }
+ */
+async function describeWork(changes, diff) {
+  const types = getAllowedTypes(getCommitRules().rules);
+  const fallback = () => {
+    const match = generateSimpleCommitMessage(changes).match(/^(\w+)(?:\([^)]*\))?!?:\s*(.*)$/);
+    return { type: match ? match[1] : types[0], slug: match ? match[2] : 'changes' };
+  };
+
+  if (!getProviderChain().some(hasRequiredCredentials)) {
+    return fallback();
+  }
+
+  const files = changes.map(change => `${change.status} ${change.file}`).join('\n');
+  const buildPrompt = (content) => `Name a git branch for this uncommitted work.
+
+Changed files:
+${files}
+${content ? `\nDiff:\n${content}\n` : ''}
+Choose the type from: ${types.join(', ')}.
+The slug is 2 to 5 lowercase words joined by hyphens that say what the work does, e.g. "add-login-form".
+Reply with JSON only, in this form:
+{"type": "feat", "slug": "add-login-form"}`;
+
+  let prompt = buildPrompt(diff);
+  if (estimateTokens(prompt) > getTokenBudget(getProviderConfig())) {
+    prompt = buildPrompt('');
+  }
+
+  try {
+    logInfo('Asking the model for a branch name...');
+    const { text } = await callLLM(prompt, 60, { purpose: 'branch name request' });
+    const json = text.match(/\{[\s\S]*\}/);
+    const answer = JSON.parse(json ? json[0] : text);
+    if (!answer.slug) throw new Error('the answer has no slug');
+    return { type: types.includes(answer.type) ? answer.type : fallback().type, slug: answer.slug };
+  } catch (error) {
+    logWarning(`Could not generate a branch name, using the offline summary: ${error.message}`);
+    return fallback();
+  }
+}
+
+/**
+ * Whether a branch name is valid and not taken
+ * @param {string} name Branch name
+ * @returns {boolean} True when a branch can be created with this name
+ */
+function isAvailableBranchName(name) {
+  const valid = spawnSync('git', ['check-ref-format', '--branch', name], { stdio: 'ignore' }).status === 0;
+  const taken = spawnSync('git', ['rev-parse', '--verify', '-q', `refs/heads/${name}`], { stdio: 'ignore' }).status === 0;
+  return valid && !taken;
+}
+
+/**
+ * Generate a branch name for the uncommitted work; "-2", "-3"... is added when the name is taken
+ * @param {Array} changes Array of changes from getGitStatus()
+ * @param {Object} options { ticket } to fill the <ticket> placeholder
+ * @returns {Promise<string>} Branch name
+ * @throws {Error} When the pattern does not give a valid branch name
+ */
+export async function generateBranchName(changes, { ticket = null } = {}) {
+  const diff = execFileSync('git', ['diff', 'HEAD'], { maxBuffer: 64 * 1024 * 1024 }).toString();
+  const { type, slug } = await describeWork(changes, diff);
+  const name = formatBranchName(getBranchPattern(), { type, scope: inferScope(changes).scope.split(',')[0], ticket, slug });
+
+  for (let suffix = 1; suffix < 100; suffix++) {
+    const candidate = suffix === 1 ? name : `${name}-${suffix}`;
+    if (isAvailableBranchName(candidate)) return candidate;
+  }
+  throw new Error(`"${name}" is not a usable branch name; check PUSHSCRIPT_BRANCH_PATTERN`);
+}
+
+/**
+ * Create a branch at HEAD and switch to it; staged and unstaged changes come along
+ * @param {string} name Branch name
+ * @throws {Error} When the name is invalid or taken
+ */
+export function createBranch(name) {
+  if (!isAvailableBranchName(name)) {
+    throw new Error(`Cannot create branch "${name}": the name is invalid or already exists`);
+  }
+  execFileSync('git', ['checkout', '-q', '-b', name]);
+}
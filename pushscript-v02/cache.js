@@ -0,0 +1,99 @@
+/**
+ * Generated message cache for PushScript
+ * Stores commit message candidates under .git/pushscript/cache, keyed by the staged diff,
+ * provider, model and prompt version, so re-running on the same staged content reuses them
+ */
+
+import { execSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Cached messages expire after a day unless PUSHSCRIPT_CACHE_TTL says otherwise
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Cache lifetime in milliseconds, from PUSHSCRIPT_CACHE_TTL (seconds); 0 disables the cache
+ * @returns {number} Time to live in milliseconds
+ */
+export function getCacheTtl() {
+  const seconds = parseInt(process.env.PUSHSCRIPT_CACHE_TTL, 10);
+  return (Number.isNaN(seconds) || seconds < 0 ? DEFAULT_TTL_SECONDS : seconds) * 1000;
+}
+
+/**
+ * Directory that holds cache entries, inside the repository's git directory
+ * @returns {string|null} Absolute path, or null outside a git repository
+ */
+export function getCacheDir() {
+  try {
+    const dir = execSync('git rev-parse --git-path pushscript/cache', { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+    return path.resolve(dir);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Cache key for a set of generation inputs
+ * @param {Object} inputs { diff, provider, model, promptVersion, hint }
+ * @returns {string} SHA-256 hex digest
+ */
+export function getCacheKey({ diff, provider, model, promptVersion, hint = '' }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([diff, provider, model, promptVersion, hint]))
+    .digest('hex');
+}
+
+/**
+ * Read cached candidates
+ * @param {string} key Key from getCacheKey
+ * @returns {Object|null} Entry as { candidates, raw, createdAt, provider, model }, or null if missing or expired
+ */
+export function readCache(key) {
+  const dir = getCacheDir();
+  const ttl = getCacheTtl();
+  if (!dir || ttl === 0) return null;
+
+  const file = path.join(dir, `${key}.json`);
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Date.now() - entry.createdAt > ttl || !Array.isArray(entry.candidates) || entry.candidates.length === 0) {
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    // Missing or unreadable entries are simply a cache miss
+    return null;
+  }
+}
+
+/**
+ * Store candidates and drop expired entries
+ * Failures are ignored; the cache is an optimisation, never a reason to stop a commit
+ * @param {string} key Key from getCacheKey
+ * @param {Object} entry { candidates, raw, provider, model }; raw marks candidates stored as the model wrote them
+ */
+export function writeCache(key, entry) {
+  const dir = getCacheDir();
+  const ttl = getCacheTtl();
+  if (!dir || ttl === 0) return;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({ ...entry, createdAt: Date.now() }));
+
+    fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .forEach(name => {
+        const file = path.join(dir, name);
+        if (Date.now() - fs.statSync(file).mtimeMs > ttl) {
+          fs.rmSync(file, { force: true });
+        }
+      });
+  } catch (error) {
+    // Read-only or unusual git directories just run without a cache
+  }
+}
@@ -4,15 +4,46 @@
  * Command Line Interface entry point
  */
 
+import fs from 'fs';
 import path from 'path';
-import { commit, push } from './index.js';
+import { fileURLToPath } from 'url';
+import { commit, push, initialize } from './index.js';
 import { displayHelp } from './formatting.js';
+import { runModelsCommand } from './models.js';
+import { runDoctorCommand } from './doctor.js';
+import { runUsageCommand } from './usage.js';
+import { runConfigCommand, applyCommandLineSettings } from './config.js';
+import { runPromptCommand } from './prompt.js';
+import { runRewordCommand } from './reword.js';
+import { runPrCommand } from './pr.js';
+import { runReleaseCommand } from './release.js';
+import { runHooksCommand } from './hooks.js';
+
+// Subcommands run instead of commit/push when given as the first argument, e.g. `push models`
+const SUBCOMMANDS = {
+  models: runModelsCommand,
+  doctor: runDoctorCommand,
+  usage: runUsageCommand,
+  config: runConfigCommand,
+  prompt: runPromptCommand,
+  reword: runRewordCommand,
+  pr: runPrCommand,
+  release: runReleaseCommand,
+  hooks: runHooksCommand
+};
 
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
   let message = null;
   let branch = null;
+  const options = { paths: [] };
+  // Config keys given as flags, applied above every other configuration source
+  const settings = {};
+
+  if (SUBCOMMANDS[args[0]]) {
+    return { subcommand: args[0], args: args.slice(1), message, branch, options, settings };
+  }
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -22,6 +53,28 @@ function parseArgs() {
       branch = 'main';
     } else if (arg === '--dev') {
       branch = 'dev';
+    } else if (arg === '--no-cache') {
+      options.noCache = true;
+    } else if (arg === '--all' || arg === '-a') {
+      options.stage = 'all';
+    } else if (arg === '--amend') {
+      options.amend = true;
+    } else if (arg === '--new-branch') {
+      options.newBranch = true;
+    } else if (arg === '--ticket' && i + 1 < args.length) {
+      options.ticket = args[++i];
+    } else if (arg === '--split') {
+      options.split = true;
+    } else if (arg === '--staged') {
+      options.stage = 'staged';
+    } else if (arg === '--pick' || arg === '-p') {
+      options.stage = 'pick';
+    } else if (arg === '--') {
+      // Only what follows -- is a path, so a message like "README.md" is never taken for one
+      options.paths.push(...args.slice(i + 1));
+      break;
+    } else if ((arg === '--provider' || arg === '--model' || arg === '--remote') && i + 1 < args.length) {
+      settings[arg.slice(2)] = args[++i];
     } else if (arg === 'main') {
       // Direct "push main" syntax support
       branch = 'main';
@@ -37,31 +90,58 @@ function parseArgs() {
     }
   }
   
-  return { message, branch };
+  return { subcommand: null, args, message, branch, options, settings };
 }
 
-// Execute the appropriate command based on script name
-async function main() {
+/**
+ * Execute the appropriate command based on script name
+ * @param {string} command Command to run ('commit' or 'push'), defaults to the script name
+ */
+async function main(command) {
   // Determine which command to run based on the script name
-  const scriptName = path.basename(process.argv[1]);
+  const scriptName = command || path.basename(process.argv[1]);
   const commandName = path.basename(scriptName, '.js');
   
-  const { message, branch } = parseArgs();
+  const { subcommand, args, message, branch, options, settings } = parseArgs();
+  applyCommandLineSettings(settings);
   
   try {
+    if (subcommand) {
+      // Subcommands load provider plugins themselves; doctor reports plugin errors instead of failing
+      process.exitCode = await SUBCOMMANDS[subcommand](args);
+      return;
+    }
+
+    // Config files and provider plugins must be loaded before any provider is resolved
+    await initialize();
+
     if (commandName === 'commit') {
-      await commit(message);
+      await commit(message, options);
     } else {
-      await push(message, branch);
+      await push(message, branch, options);
     }
   } catch (error) {
-    console.error('\x1b[31mError:\x1b[0m', error);
+    console.error('\x1b[31mError:\x1b[0m', error.message);
     process.exit(1);
   }
 }
 
+/**
+ * Whether this file was started directly rather than imported
+ * Resolves symlinks so npm-installed bins (node_modules/.bin/push) are recognised
+ * @returns {boolean} True when run as a script
+ */
+function isMainModule() {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch (error) {
+    return false;
+  }
+}
+
 // Only run if this is the main module (not imported)
-if (import.meta.url.startsWith('file:')) {
+if (isMainModule()) {
   main();
 }
 
@@ -0,0 +1,541 @@
+/**
+ * Configuration for PushScript
+ * Settings are PUSHSCRIPT_* environment variables. They can also come from the command line,
+ * a user-global config file and a repository config file (.pushscriptrc, pushscript.config.js
+ * or package.json#pushscript), which fill in variables the environment leaves unset.
+ * Deprecated setting names are mapped onto the canonical keys
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import dotenv from 'dotenv';
+import { colorize, logSuccess, logWarning } from './formatting.js';
+
+// Config file keys, the environment variable each one sets, and the built-in default
+export const CONFIG_SCHEMA = {
+  provider: { env: 'PUSHSCRIPT_LLM_PROVIDER', type: 'string', default: 'groq', description: 'LLM provider to use' },
+  model: { env: 'PUSHSCRIPT_LLM_MODEL', type: 'string', default: null, description: 'Model for the primary provider' },
+  fallback: { env: 'PUSHSCRIPT_LLM_FALLBACK', type: 'list', default: [], description: 'Providers to try next, provider or provider:model' },
+  temperature: { env: 'PUSHSCRIPT_LLM_TEMPERATURE', type: 'number', default: null, description: 'Sampling temperature for a single message' },
+  timeout: { env: 'PUSHSCRIPT_LLM_TIMEOUT', type: 'integer', default: 30000, description: 'Per-request timeout in milliseconds' },
+  retries: { env: 'PUSHSCRIPT_LLM_RETRIES', type: 'integer', default: 2, description: 'Retries per provider' },
+  candidates: { env: 'PUSHSCRIPT_CANDIDATES', type: 'integer', default: 3, description: 'Candidate messages to review' },
+  localBaseUrl: { env: 'PUSHSCRIPT_LOCAL_BASE_URL', type: 'string', default: 'http://localhost:11434/v1', description: 'Base URL of a local server' },
+  localApi: { env: 'PUSHSCRIPT_LOCAL_API', type: 'enum', values: ['openai', 'ollama'], default: 'openai', description: 'API style of the local server' },
+  plugins: { env: 'PUSHSCRIPT_PLUGINS', type: 'list', default: [], description: 'Provider plugin modules' },
+  tokenBudget: { env: 'PUSHSCRIPT_TOKEN_BUDGET', type: 'integer', default: null, description: 'Token budget for diff content' },
+  modelTokenBudgets: { env: 'PUSHSCRIPT_MODEL_TOKEN_BUDGETS', type: 'map', default: {}, description: 'Token budgets per model' },
+  defaultBranch: { env: 'PUSHSCRIPT_DEFAULT_BRANCH', type: 'string', default: 'main', description: 'Branch used when the current one cannot be detected' },
+  remote: { env: 'PUSHSCRIPT_REMOTE', type: 'string', default: null, description: 'Remote to push to, over the upstream and origin' },
+  protectedBranches: { env: 'PUSHSCRIPT_PROTECTED_BRANCHES', type: 'map', default: {}, description: 'Branch globs to allow, confirm, check or block, e.g. "release/*": "block"' },
+  branchPattern: { env: 'PUSHSCRIPT_BRANCH_PATTERN', type: 'string', default: '<type>/<slug>', description: 'Name of --new-branch branches, with <type>, <scope>, <ticket> and <slug>' },
+  githubApiUrl: { env: 'PUSHSCRIPT_GITHUB_API_URL', type: 'string', default: 'https://api.github.com', description: 'GitHub-compatible REST API used by push pr --create' },
+  githubRepo: { env: 'PUSHSCRIPT_GITHUB_REPO', type: 'string', default: null, description: 'owner/repo for push pr --create, instead of the remote URL' },
+  tagPrefix: { env: 'PUSHSCRIPT_TAG_PREFIX', type: 'string', default: 'v', description: 'Prefix of the release tags push release reads and creates' },
+  checkCommand: { env: 'PUSHSCRIPT_CHECK_COMMAND', type: 'string', default: 'npm test', description: 'Command protected branches with "check" run before a push' },
+  sensitiveFiles: { env: 'PUSHSCRIPT_SENSITIVE_FILES', type: 'list', default: [], description: 'Extra sensitive file globs' },
+  cacheTtl: { env: 'PUSHSCRIPT_CACHE_TTL', type: 'integer', default: 86400, description: 'Seconds a generated message is reused' },
+  usageLedger: { env: 'PUSHSCRIPT_USAGE_LEDGER', type: 'string', default: '.git/pushscript/usage.jsonl', description: 'Usage ledger file, "off" disables it' },
+  modelPrices: { env: 'PUSHSCRIPT_MODEL_PRICES', type: 'map', default: {}, description: 'USD per million tokens, "prompt/completion"' },
+  fixtures: { env: 'PUSHSCRIPT_FIXTURES', type: 'string', default: '.pushscript-fixtures.json', description: 'Fixture file for record and replay' },
+  commitTypes: { env: 'PUSHSCRIPT_COMMIT_TYPES', type: 'list', default: [], description: 'Allowed commit types, over commitlint type-enum' },
+  commitScopes: { env: 'PUSHSCRIPT_COMMIT_SCOPES', type: 'list', default: [], description: 'Allowed commit scopes, over commitlint scope-enum' },
+  headerMaxLength: { env: 'PUSHSCRIPT_HEADER_MAX_LENGTH', type: 'integer', default: 80, description: 'Maximum first line length, over commitlint header-max-length' },
+  ticketPattern: { env: 'PUSHSCRIPT_TICKET_PATTERN', type: 'string', default: null, description: 'Regular expression finding the ticket in a branch name, e.g. "[A-Z]+-\\d+"' },
+  ticketTrailer: { env: 'PUSHSCRIPT_TICKET_TRAILER', type: 'enum', values: ['Refs', 'Closes', 'off'], default: 'Refs', description: 'Trailer that adds the branch ticket to messages' },
+  stage: { env: 'PUSHSCRIPT_STAGE', type: 'enum', values: ['auto', 'staged', 'all', 'pick'], default: 'auto', description: 'What commit stages: what is staged (everything if nothing is), all or pick' },
+  scopeStrategy: { env: 'PUSHSCRIPT_SCOPE_STRATEGY', type: 'enum', values: ['dominant', 'multi'], default: 'dominant', description: 'Scope for commits touching several workspace packages' },
+  promptDir: { env: 'PUSHSCRIPT_PROMPT_DIR', type: 'string', default: '.pushscript/prompts', description: 'Directory with commit.md and system.md prompt templates' }
+};
+
+// Repository config files, first one found wins
+const REPO_CONFIG_FILES = ['.pushscriptrc', '.pushscriptrc.json', 'pushscript.config.js', 'pushscript.config.cjs', 'pushscript.config.mjs', 'package.json'];
+
+// Deprecated environment variables and the canonical keys that replace them
+export const LEGACY_ENV_ALIASES = {
+  PUSHSCRIPTS_MODEL_PROVIDER: 'PUSHSCRIPT_LLM_PROVIDER',
+  PUSHSCRIPTS_MODEL: 'PUSHSCRIPT_LLM_MODEL',
+  PUSHSCRIPTS_TEMPERATURE: 'PUSHSCRIPT_LLM_TEMPERATURE',
+  PUSHSCRIPTS_FALLBACK: 'PUSHSCRIPT_LLM_FALLBACK',
+  PUSHSCRIPTS_TIMEOUT_MS: 'PUSHSCRIPT_LLM_TIMEOUT',
+  PUSHSCRIPTS_MAX_RETRIES: 'PUSHSCRIPT_LLM_RETRIES',
+  PUSHSCRIPTS_LOCAL_BASE_URL: 'PUSHSCRIPT_LOCAL_BASE_URL',
+  PUSHSCRIPTS_LOCAL_API: 'PUSHSCRIPT_LOCAL_API',
+  PUSHSCRIPTS_CANDIDATES: 'PUSHSCRIPT_CANDIDATES',
+  PUSHSCRIPTS_SENSITIVE_FILES: 'PUSHSCRIPT_SENSITIVE_FILES',
+  GIT_DEFAULT_BRANCH: 'PUSHSCRIPT_DEFAULT_BRANCH'
+};
+
+// Warn about each deprecated key once per process
+const warnedKeys = new Set();
+
+// Where configuration came from, recorded by loadEnvironment for `push doctor`
+let configSources = [];
+
+// Config files are loaded once per process
+let configFilesPromise = null;
+
+/**
+ * Load environment variables from .env.local, or .env when there is no .env.local
+ * Variables already set in the process environment always win over the files.
+ * Nothing is printed; the sources are recorded for getConfigSources
+ * @param {string} cwd Project directory
+ * @returns {Array<Object>} Sources in precedence order, see getConfigSources
+ */
+export function loadEnvironment(cwd = process.cwd()) {
+  const shellKeys = new Set(Object.keys(process.env));
+  const envFiles = ['.env.local', '.env'].map(name => path.join(cwd, name));
+  const loadedFile = envFiles.find(file => fs.existsSync(file));
+
+  let fileKeys = [];
+  if (loadedFile) {
+    const { parsed = {} } = dotenv.config({ path: loadedFile });
+    // dotenv never overrides, so only keys that were not already set came from the file
+    fileKeys = Object.keys(parsed).filter(key => !shellKeys.has(key));
+  }
+
+  const legacyKeys = applyLegacyAliases();
+
+  configSources = [
+    { name: 'process environment', path: null, loaded: true, keys: [...shellKeys] },
+    ...envFiles.map(file => ({
+      name: path.basename(file),
+      path: file,
+      loaded: file === loadedFile,
+      exists: fs.existsSync(file),
+      keys: file === loadedFile ? fileKeys : []
+    })),
+    { name: 'deprecated PUSHSCRIPTS_* aliases', path: null, loaded: legacyKeys.length > 0, keys: legacyKeys },
+    { name: 'built-in defaults', path: null, loaded: true, keys: [] }
+  ];
+
+  return configSources;
+}
+
+/**
+ * Configuration sources recorded by the last loadEnvironment call, highest precedence first
+ * @returns {Array<Object>} Sources as { name, path, loaded, exists, keys }
+ */
+export function getConfigSources() {
+  return configSources;
+}
+
+/**
+ * Find which source provided an environment variable
+ * @param {string} key Environment variable name
+ * @returns {string|null} Source name, or null if the variable is unset
+ */
+export function getConfigSource(key) {
+  if (process.env[key] === undefined) return null;
+
+  const source = configSources.find(entry => entry.loaded && entry.keys.includes(key));
+  if (source) return source.name;
+
+  // A canonical key filled in from its deprecated alias
+  const legacyKey = Object.keys(LEGACY_ENV_ALIASES).find(legacy => LEGACY_ENV_ALIASES[legacy] === key);
+  return legacyKey ? `${legacyKey} (deprecated alias)` : 'process environment';
+}
+
+/**
+ * Copy deprecated environment variables onto their canonical names
+ * A canonical key that is already set always wins over its deprecated alias
+ * @param {Object} env Environment to update (defaults to process.env)
+ * @returns {Array<string>} Deprecated keys that were found
+ */
+export function applyLegacyAliases(env = process.env) {
+  const found = [];
+
+  Object.entries(LEGACY_ENV_ALIASES).forEach(([legacyKey, canonicalKey]) => {
+    if (env[legacyKey] === undefined) return;
+    found.push(legacyKey);
+
+    if (env[canonicalKey] === undefined) {
+      env[canonicalKey] = env[legacyKey];
+    }
+
+    if (!warnedKeys.has(legacyKey)) {
+      warnedKeys.add(legacyKey);
+      const note = env[canonicalKey] === env[legacyKey] ? '' : ` (ignored, ${canonicalKey} is also set)`;
+      logWarning(`${legacyKey} is deprecated, use ${canonicalKey} instead${note}`);
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Sampling temperature for commit message generation
+ * @returns {number|undefined} Temperature from PUSHSCRIPT_LLM_TEMPERATURE, or undefined for the provider default
+ */
+export function getConfiguredTemperature() {
+  const temperature = parseFloat(process.env.PUSHSCRIPT_LLM_TEMPERATURE);
+  return Number.isNaN(temperature) ? undefined : temperature;
+}
+
+/**
+ * Branch used when the current branch cannot be detected
+ * @returns {string} PUSHSCRIPT_DEFAULT_BRANCH or 'main'
+ */
+export function getDefaultBranch() {
+  return process.env.PUSHSCRIPT_DEFAULT_BRANCH || 'main';
+}
+
+/**
+ * Closest schema key to a misspelled one
+ * @param {string} key Unknown key
+ * @returns {string|null} Suggested key, or null if nothing is close
+ */
+function suggestKey(key) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const [best] = Object.keys(CONFIG_SCHEMA)
+    .map(name => ({ name, score: distance(key.toLowerCase(), name.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score);
+  return best.score <= 3 ? best.name : null;
+}
+
+/**
+ * Check one value against its schema entry
+ * @param {Object} field Schema entry
+ * @param {*} value Value from a config file
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+function validateValue(field, value) {
+  switch (field.type) {
+    case 'string':
+      return typeof value === 'string' && value ? null : 'must be a non-empty string';
+    case 'integer':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of 0 or more';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'enum':
+      return field.values.includes(value) ? null : `must be one of ${field.values.join(', ')}`;
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string' && item)
+        ? null
+        : 'must be a list of strings';
+    case 'map':
+      return value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(item => typeof item === 'string' || typeof item === 'number')
+        ? null
+        : 'must be an object of names to numbers or strings';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a config object against CONFIG_SCHEMA
+ * @param {Object} config Parsed config file contents
+ * @returns {Array<string>} Problems found, empty if the config is valid
+ */
+export function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['the configuration must be an object'];
+  }
+
+  const errors = [];
+  Object.entries(config).forEach(([key, value]) => {
+    const field = CONFIG_SCHEMA[key];
+    if (!field) {
+      const suggestion = suggestKey(key);
+      const hint = /key|token|secret/i.test(key)
+        ? ', API keys belong in the environment or .env.local'
+        : suggestion ? `, did you mean "${suggestion}"?` : '';
+      errors.push(`unknown key "${key}"${hint}`);
+      return;
+    }
+    const problem = validateValue(field, value);
+    if (problem) {
+      errors.push(`"${key}" ${problem} (got ${JSON.stringify(value)})`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Convert a config value to the environment variable form
+ * @param {Object} field Schema entry
+ * @param {*} value Valid config value
+ * @returns {string} Value for process.env
+ */
+function toEnvValue(field, value) {
+  if (field.type === 'list') return value.join(',');
+  if (field.type === 'map') return Object.entries(value).map(([name, item]) => `${name}=${item}`).join(',');
+  return String(value);
+}
+
+/**
+ * Convert a command line value to the config form, e.g. for `push config set`
+ * @param {string} key Schema key
+ * @param {string} text Value as typed
+ * @returns {*} Parsed value; invalid input is left for validateConfig to report
+ */
+export function parseConfigValue(key, text) {
+  const field = CONFIG_SCHEMA[key];
+  if (!field) return text;
+
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      return text.trim() !== '' && !Number.isNaN(Number(text)) ? Number(text) : text;
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(item => item);
+    case 'map':
+      return Object.fromEntries(text.split(',').filter(entry => entry.includes('=')).map(entry => {
+        const separatorIndex = entry.lastIndexOf('=');
+        const item = entry.slice(separatorIndex + 1).trim();
+        return [entry.slice(0, separatorIndex).trim(), item !== '' && !Number.isNaN(Number(item)) ? Number(item) : item];
+      }));
+    default:
+      return text;
+  }
+}
+
+/**
+ * Path of the user-global config file
+ * @returns {string} $XDG_CONFIG_HOME/pushscript/config.json, or ~/.config/pushscript/config.json
+ */
+export function getUserConfigPath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'pushscript', 'config.json');
+}
+
+/**
+ * Find the repository config file
+ * package.json only counts when it has a "pushscript" field
+ * @param {string} cwd Project directory
+ * @returns {string|null} Absolute path, or null if there is none
+ */
+export function findRepoConfig(cwd = process.cwd()) {
+  for (const name of REPO_CONFIG_FILES) {
+    const file = path.join(cwd, name);
+    if (!fs.existsSync(file)) continue;
+    if (name !== 'package.json') return file;
+
+    try {
+      if (JSON.parse(fs.readFileSync(file, 'utf8')).pushscript !== undefined) return file;
+    } catch (error) {
+      // An unreadable package.json is npm's problem, not a PushScript config
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a config file
+ * @param {string} file Config file path
+ * @returns {Promise<Object>} Config object (not yet validated)
+ * @throws {Error} When the file cannot be read or parsed
+ */
+export async function readConfigFile(file) {
+  if (/\.(c|m)?js$/.test(file)) {
+    try {
+      const module = await import(pathToFileURL(file).href);
+      return module.default === undefined ? { ...module } : module.default;
+    } catch (error) {
+      throw new Error(`Could not load ${file}: ${error.message}`);
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  return path.basename(file) === 'package.json' ? parsed.pushscript : parsed;
+}
+
+/**
+ * Load the user-global and repository config files into process.env
+ * Only variables the environment leaves unset are filled in, and the user-global file wins over the
+ * repository file. Safe to call more than once; the files are only read the first time
+ * @param {string} cwd Project directory
+ * @returns {Promise<Array<Object>>} Sources in precedence order, see getConfigSources
+ * @throws {Error} Listing every problem when a config file is invalid
+ */
+export function loadConfigFiles(cwd = process.cwd()) {
+  if (!configFilesPromise) {
+    configFilesPromise = (async () => {
+      const userFile = getUserConfigPath();
+      const repoFile = findRepoConfig(cwd);
+      const files = [
+        { name: 'user config', path: userFile, loaded: false, exists: fs.existsSync(userFile), keys: [] },
+        { name: 'repository config', path: repoFile || path.join(cwd, '.pushscriptrc'), loaded: false, exists: repoFile !== null, keys: [] }
+      ];
+
+      const failures = [];
+      for (const source of files) {
+        if (!source.exists) continue;
+
+        try {
+          const config = await readConfigFile(source.path);
+          const errors = validateConfig(config);
+          if (errors.length > 0) {
+            throw new Error(`Invalid configuration in ${source.path}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+          }
+
+          Object.entries(config).forEach(([key, value]) => {
+            const field = CONFIG_SCHEMA[key];
+            if (process.env[field.env] === undefined) {
+              process.env[field.env] = toEnvValue(field, value);
+              source.keys.push(field.env);
+            }
+          });
+          source.loaded = true;
+        } catch (error) {
+          failures.push(error.message);
+        }
+      }
+
+      // Config files rank below the environment and .env files, above the built-in defaults
+      const defaultsIndex = configSources.findIndex(source => source.name === 'built-in defaults');
+      configSources.splice(defaultsIndex === -1 ? configSources.length : defaultsIndex, 0, ...files);
+
+      if (failures.length > 0) {
+        throw new Error(failures.join('\n'));
+      }
+      return configSources;
+    })();
+  }
+  return configFilesPromise;
+}
+
+/**
+ * Apply settings given as command line flags, which win over every other source
+ * @param {Object} settings Config keys and values, e.g. { provider: 'openai', model: 'gpt-4o-mini' }
+ */
+export function applyCommandLineSettings(settings) {
+  const keys = [];
+  Object.entries(settings).forEach(([key, value]) => {
+    const field = CONFIG_SCHEMA[key];
+    if (!field || value === undefined || value === null) return;
+    process.env[field.env] = String(value);
+    keys.push(field.env);
+  });
+
+  if (keys.length > 0) {
+    configSources.unshift({ name: 'command line', path: null, loaded: true, keys });
+  }
+}
+
+/**
+ * Effective value of a config key and where it came from
+ * @param {string} key Schema key
+ * @returns {Object} { key, env, value, source }, value is the raw environment string or the default
+ */
+function describeSetting(key) {
+  const field = CONFIG_SCHEMA[key];
+  const value = process.env[field.env];
+  if (value === undefined) {
+    const fallback = field.default === null || (typeof field.default === 'object' && Object.keys(field.default).length === 0)
+      ? '(unset)'
+      : toEnvValue(field, field.default);
+    return { key, env: field.env, value: fallback, source: 'built-in default' };
+  }
+  return { key, env: field.env, value, source: getConfigSource(field.env) };
+}
+
+/**
+ * Write one key to a JSON config file, package.json#pushscript or a standalone file
+ * @param {string} file Config file path
+ * @param {string} key Schema key
+ * @param {*} value Parsed value
+ * @throws {Error} When the file is a JavaScript config or the result is invalid
+ */
+function writeConfigValue(file, key, value) {
+  if (/\.(c|m)?js$/.test(file)) {
+    throw new Error(`${path.basename(file)} is JavaScript and cannot be edited automatically; set "${key}" there by hand`);
+  }
+
+  const isPackage = path.basename(file) === 'package.json';
+  const contents = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const config = { ...((isPackage ? contents.pushscript : contents) || {}), [key]: value };
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  const updated = isPackage ? { ...contents, pushscript: config } : config;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(updated, null, 2)}\n`);
+}
+
+/**
+ * `push config list | get <key> | set <key> <value> [--global]`
+ * list shows every setting with its value and source; get prints one value (source on stderr);
+ * set writes the repository config file, or the user-global one with --global
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runConfigCommand(args = []) {
+  const global = args.includes('--global');
+  const [action = 'list', key, ...rest] = args.filter(arg => arg !== '--global');
+
+  if (key !== undefined && !CONFIG_SCHEMA[key]) {
+    const suggestion = suggestKey(key);
+    throw new Error(`Unknown setting "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}. Run \`push config list\` to see every setting`);
+  }
+
+  if (action === 'set') {
+    if (!key || rest.length === 0) {
+      throw new Error('Usage: push config set <key> <value> [--global]');
+    }
+    const file = global ? getUserConfigPath() : findRepoConfig() || path.join(process.cwd(), '.pushscriptrc');
+    writeConfigValue(file, key, parseConfigValue(key, rest.join(' ')));
+    logSuccess(`Set ${key} in ${file}`);
+
+    // Tell the user when a higher-precedence source still overrides the value just written
+    try {
+      await loadConfigFiles();
+    } catch (error) {
+      logWarning(error.message);
+    }
+    const { env } = CONFIG_SCHEMA[key];
+    const source = getConfigSource(env);
+    if (source !== (global ? 'user config' : 'repository config')) {
+      logWarning(`${env} from ${source} takes precedence over this value`);
+    }
+    return 0;
+  }
+
+  await loadConfigFiles();
+
+  if (action === 'get') {
+    if (!key) {
+      throw new Error('Usage: push config get <key>');
+    }
+    const setting = describeSetting(key);
+    console.log(setting.value);
+    console.error(colorize(`${setting.env} from ${setting.source}`, 'dim'));
+    return 0;
+  }
+
+  if (action === 'list') {
+    const width = Math.max(...Object.keys(CONFIG_SCHEMA).map(name => name.length));
+    Object.keys(CONFIG_SCHEMA).forEach(name => {
+      const setting = describeSetting(name);
+      const value = setting.source === 'built-in default' ? colorize(setting.value, 'dim') : setting.value;
+      console.log(`  ${name.padEnd(width)}  ${value} ${colorize(`[${setting.source}]`, 'dim')}`);
+    });
+    return 0;
+  }
+
+  throw new Error(`Unknown config action "${action}", use list, get or set`);
+}
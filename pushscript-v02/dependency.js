@@ -7,8 +7,8 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { logWarning, logInfo, colorize } from './formatting.js';
-import fetch from 'node-fetch';
-import { getProviderConfig } from './providers.js';
+import { getProviderChain, hasRequiredCredentials } from './providers.js';
+import { callLLM } from './llm.js';
 
 /**
  * Analyzes dependency conflicts using LLM to generate intelligent advice
@@ -17,14 +17,12 @@ import { getProviderConfig } from './providers.js';
  * @returns {Promise<Object|null>} Object with analysis or null if analysis failed
  */
 export async function analyzeDependencyConflictsWithLLM(conflicts, conflictType) {
-  const { name, config, apiKey, model } = getProviderConfig();
-  
-  if (!apiKey) {
+  if (!getProviderChain().some(hasRequiredCredentials)) {
     return null; // No API key, can't use LLM
   }
   
   try {
-    logInfo(`Analyzing dependency conflicts using ${name}...`);
+    logInfo('Analyzing dependency conflicts with AI...');
     
     // Prepare a sample of conflicts (to avoid token limits)
     const conflictSample = conflicts.length > 5 ? 
@@ -49,21 +47,8 @@ Please provide:
 Keep your response very concise and practical - only provide what would be immediately useful to a developer.
 `;
 
-    // Call the LLM API
-    const response = await fetch(config.apiEndpoint, {
-      method: 'POST',
-      headers: {
-        ...config.headerTemplate(apiKey)
-      },
-      body: JSON.stringify(config.requestBuilder(prompt, model, 250)) // Keep the response short
-    });
-
-    if (!response.ok) {
-      throw new Error(`${name} API error: ${response.statusText} (${response.status})`);
-    }
-
-    const data = await response.json();
-    const analysis = config.responseHandler(data);
+    // Call the LLM API, keeping the response short
+    const { text: analysis } = await callLLM(prompt, 250, { purpose: 'dependency analysis' });
     
     // Split the analysis into sections
     const sections = analysis.split(/\n(?:[\d]+\.\s*)/);
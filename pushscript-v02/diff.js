@@ -0,0 +1,412 @@
+/**
+ * Diff processing for PushScript
+ * Splits staged diffs into per-file and per-hunk chunks, filters noise and
+ * condenses large diffs into summaries that fit a provider's token budget
+ */
+
+import { logInfo, logWarning } from './formatting.js';
+import { getProviderEnvPrefix } from './providers.js';
+
+// Files whose diffs say little about intent: lockfiles, build output, minified bundles
+const NOISE_FILE_PATTERNS = [
+  /(^|\/)package-lock\.json$/,
+  /(^|\/)npm-shrinkwrap\.json$/,
+  /(^|\/)yarn\.lock$/,
+  /(^|\/)pnpm-lock\.yaml$/,
+  /(^|\/)bun\.lockb?$/,
+  /(^|\/)Cargo\.lock$/,
+  /(^|\/)Gemfile\.lock$/,
+  /(^|\/)composer\.lock$/,
+  /(^|\/)poetry\.lock$/,
+  /(^|\/)go\.sum$/,
+  /\.min\.(js|css|mjs)$/,
+  /\.(js|css)\.map$/,
+  /\.snap$/,
+  /(^|\/)(dist|build|out|coverage|vendor|node_modules)\//,
+  /\.generated\.[a-z]+$/,
+  /(^|\/)generated\//
+];
+
+// Markers that tools put at the top of generated sources
+const GENERATED_MARKERS = ['@generated', 'DO NOT EDIT', 'Code generated by', 'auto-generated'];
+
+// Lines longer than this are almost always minified or embedded data
+const MINIFIED_LINE_LENGTH = 500;
+
+// Default prompt budgets (in tokens) for diff content, per provider
+const DEFAULT_TOKEN_BUDGETS = {
+  groq: 6000,
+  openai: 24000,
+  anthropic: 24000,
+  gemini: 24000,
+  local: 3000
+};
+const FALLBACK_TOKEN_BUDGET = 6000;
+
+// A summary pass should never recurse forever on pathological input
+const MAX_REDUCE_ROUNDS = 3;
+
+// Top-level declarations that make a name part of a module's public surface, per language
+const EXPORT_PATTERNS = [
+  {
+    files: /\.(c|m)?[jt]sx?$/,
+    declarations: [
+      /^export\s+(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/,
+      /^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/
+    ],
+    // export { a, b as c }
+    lists: /^export\s*(?:type\s*)?\{([^}]*)\}/
+  },
+  { files: /\.py$/, declarations: [/^(?:async\s+)?def\s+([A-Za-z]\w*)\s*\(/, /^class\s+([A-Za-z]\w*)/] },
+  { files: /\.go$/, declarations: [/^func\s+(?:\([^)]*\)\s*)?([A-Z]\w*)\s*\(/, /^type\s+([A-Z]\w*)\s/] }
+];
+
+// Tests are not public API
+const TEST_FILE_PATTERN = /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[a-z]+$|_test\.go$/;
+
+/**
+ * Rough token estimate; ~4 characters per token holds well enough for code and English
+ * @param {string} text Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Parse a list of `name=value` pairs, e.g. "gpt-4o=24000,llama3.1=3000"
+ * @param {string} spec Comma-separated pairs
+ * @returns {Object} Map of names to numbers
+ */
+function parseBudgetList(spec) {
+  const budgets = {};
+  (spec || '').split(',').forEach(entry => {
+    const separatorIndex = entry.lastIndexOf('=');
+    if (separatorIndex === -1) return;
+    const name = entry.slice(0, separatorIndex).trim();
+    const value = parseInt(entry.slice(separatorIndex + 1), 10);
+    if (name && value > 0) {
+      budgets[name] = value;
+    }
+  });
+  return budgets;
+}
+
+/**
+ * Get the token budget for diff content sent to a provider and model
+ * Precedence: PUSHSCRIPT_MODEL_TOKEN_BUDGETS entry for the model, then
+ * <PROVIDER>_PUSHSCRIPT_TOKEN_BUDGET, then PUSHSCRIPT_TOKEN_BUDGET, then the
+ * provider's tokenBudget or built-in default
+ * @param {Object} providerDetails Provider configuration from getProviderConfig
+ * @returns {number} Token budget
+ */
+export function getTokenBudget(providerDetails) {
+  const { name, config, model } = providerDetails;
+  const modelBudgets = parseBudgetList(process.env.PUSHSCRIPT_MODEL_TOKEN_BUDGETS);
+  const effectiveModel = model || config.defaultModel;
+
+  if (effectiveModel && modelBudgets[effectiveModel]) {
+    return modelBudgets[effectiveModel];
+  }
+
+  const providerBudget = parseInt(process.env[`${getProviderEnvPrefix(name)}_PUSHSCRIPT_TOKEN_BUDGET`], 10);
+  if (providerBudget > 0) return providerBudget;
+
+  const globalBudget = parseInt(process.env.PUSHSCRIPT_TOKEN_BUDGET, 10);
+  if (globalBudget > 0) return globalBudget;
+
+  return config.tokenBudget || DEFAULT_TOKEN_BUDGETS[name] || FALLBACK_TOKEN_BUDGET;
+}
+
+/**
+ * Split a unified diff into files, each with its header and hunks
+ * @param {string} diffText Output of `git diff`
+ * @returns {Array<Object>} Files as { path, header, hunks, binary }
+ */
+export function parseDiff(diffText) {
+  const files = [];
+  let current = null;
+  let currentHunk = null;
+
+  diffText.split('\n').forEach(line => {
+    if (line.startsWith('diff --git ')) {
+      // "diff --git a/path b/path" - the b/ side is the path after the change
+      const match = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+      current = {
+        path: match ? match[2] : line.slice('diff --git '.length),
+        header: [line],
+        hunks: [],
+        binary: false
+      };
+      currentHunk = null;
+      files.push(current);
+      return;
+    }
+
+    if (!current) return;
+
+    if (line.startsWith('@@')) {
+      currentHunk = [line];
+      current.hunks.push(currentHunk);
+    } else if (currentHunk) {
+      currentHunk.push(line);
+    } else {
+      if (line.startsWith('Binary files ')) {
+        current.binary = true;
+      }
+      current.header.push(line);
+    }
+  });
+
+  return files.map(file => ({
+    path: file.path,
+    header: file.header.join('\n'),
+    hunks: file.hunks.map(hunk => hunk.join('\n')),
+    binary: file.binary
+  }));
+}
+
+/**
+ * Decide whether a file's diff is noise that should not be sent to the model
+ * @param {Object} file Parsed file from parseDiff
+ * @returns {string|null} Reason the file is noise, or null if it is meaningful
+ */
+export function getNoiseReason(file) {
+  if (NOISE_FILE_PATTERNS.some(pattern => pattern.test(file.path))) {
+    return 'lockfile or build output';
+  }
+  if (file.binary) {
+    return 'binary';
+  }
+
+  const addedLines = file.hunks
+    .join('\n')
+    .split('\n')
+    .filter(line => line.startsWith('+'));
+
+  if (addedLines.slice(0, 10).some(line => GENERATED_MARKERS.some(marker => line.includes(marker)))) {
+    return 'generated';
+  }
+  if (addedLines.some(line => line.length > MINIFIED_LINE_LENGTH)) {
+    return 'minified';
+  }
+
+  return null;
+}
+
+/**
+ * Split files into chunks that each fit the budget
+ * Small files become one chunk; large files are split per hunk; oversized hunks are truncated
+ * @param {Array<Object>} files Parsed files from parseDiff
+ * @param {number} budget Token budget per chunk
+ * @returns {Array<Object>} Chunks as { path, text }
+ */
+export function chunkFiles(files, budget) {
+  const chunks = [];
+
+  files.forEach(file => {
+    const fullText = [file.header, ...file.hunks].join('\n');
+    if (estimateTokens(fullText) <= budget) {
+      chunks.push({ path: file.path, text: fullText });
+      return;
+    }
+
+    file.hunks.forEach((hunk, index) => {
+      let text = `${file.header}\n${hunk}`;
+      if (estimateTokens(text) > budget) {
+        text = `${text.slice(0, budget * 4)}\n... (hunk truncated)`;
+      }
+      chunks.push({ path: `${file.path} (hunk ${index + 1}/${file.hunks.length})`, text });
+    });
+  });
+
+  return chunks;
+}
+
+/**
+ * Pack chunks into as few batches as possible without exceeding the budget
+ * @param {Array<Object>} chunks Chunks from chunkFiles
+ * @param {number} budget Token budget per batch
+ * @returns {Array<Array<Object>>} Batches of chunks
+ */
+export function packChunks(chunks, budget) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  chunks.forEach(chunk => {
+    const tokens = estimateTokens(chunk.text);
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(chunk);
+    currentTokens += tokens;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Build the prompt asking the model to summarise one batch of diff chunks
+ * @param {string} batchText Diff text of the batch
+ * @returns {string} Summarisation prompt
+ */
+function buildSummaryPrompt(batchText) {
+  return `Summarize this part of a staged git diff for another developer who will write the commit message.
+Do NOT write a commit message. Reply with 2-5 short bullet points that name the files and describe
+what changed in behavior and why it likely changed. Skip formatting-only changes.
+
+\`\`\`diff
+${batchText}
+\`\`\``;
+}
+
+/**
+ * Fallback description of a batch when summarisation fails: one line per chunk
+ * @param {Array<Object>} batch Chunks in the batch
+ * @returns {string} Line-count summary
+ */
+function describeBatch(batch) {
+  return batch.map(chunk => {
+    const lines = chunk.text.split('\n');
+    const added = lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length;
+    const removed = lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length;
+    return `- ${chunk.path}: +${added} -${removed}`;
+  }).join('\n');
+}
+
+/**
+ * Public declarations in some lines of a file, with their signatures
+ * @param {Array<string>} lines Source lines
+ * @param {Object} language Entry of EXPORT_PATTERNS
+ * @returns {Map<string, string|null>} Name to signature (the declaration up to its parameter list),
+ * null for declarations without parameters
+ */
+function collectExports(lines, language) {
+  const exports = new Map();
+  lines.forEach(line => {
+    const list = language.lists && line.match(language.lists);
+    if (list) {
+      list[1].split(',').map(item => item.trim().split(/\s+as\s+/).pop()).filter(name => name).forEach(name => exports.set(name, null));
+      return;
+    }
+    language.declarations.forEach(pattern => {
+      const match = line.match(pattern);
+      if (!match) return;
+      const params = line.indexOf('(', match.index + match[0].length - 1);
+      const close = params === -1 ? -1 : line.indexOf(')', params);
+      exports.set(match[1], params === -1 ? null : line.slice(0, close === -1 ? undefined : close + 1).replace(/\s+/g, ' ').trim());
+    });
+  });
+  return exports;
+}
+
+/**
+ * Find exports a diff removes or changes the signature of
+ * Only top-level declarations on changed lines are seen. A name removed in one file and added in
+ * another counts as moved, not removed; test files are ignored
+ * @param {string} diffText Output of `git diff`
+ * @returns {Object} { removed, changed }, each a list of { name, path }
+ */
+export function findApiChanges(diffText) {
+  const removed = [];
+  const added = new Map();
+
+  parseDiff(diffText).forEach(file => {
+    const language = EXPORT_PATTERNS.find(entry => entry.files.test(file.path));
+    if (!language || TEST_FILE_PATTERN.test(file.path)) return;
+
+    const lines = file.hunks.flatMap(hunk => hunk.split('\n').slice(1));
+    const side = (marker) => lines.filter(line => line.startsWith(marker)).map(line => line.slice(1));
+    collectExports(side('+'), language).forEach((signature, name) => added.set(name, signature));
+    collectExports(side('-'), language).forEach((signature, name) => removed.push({ name, path: file.path, signature }));
+  });
+
+  return {
+    removed: removed.filter(({ name }) => !added.has(name)).map(({ name, path }) => ({ name, path })),
+    changed: removed
+      .filter(({ name, signature }) => added.has(name) && signature && added.get(name) && added.get(name) !== signature)
+      .map(({ name, path }) => ({ name, path }))
+  };
+}
+
+/**
+ * Prepare diff content for the commit prompt within a token budget
+ * Diffs that fit are passed through unchanged (minus noise files). Larger diffs are
+ * chunked per file and hunk, each batch is summarised (map), and the summaries are
+ * condensed again until they fit (reduce). Once a summary request fails, the remaining batches
+ * are described by their line counts
+ * @param {string} diffText Staged diff
+ * @param {number} budget Token budget for diff content
+ * @param {Function} summarize Async function(prompt) returning the model's summary text
+ * @returns {Promise<Object>} { kind: 'diff'|'summary', content, skipped: [{ path, reason }], apiChanges }
+ * with apiChanges from findApiChanges, found in the full diff
+ */
+export async function prepareDiffContext(diffText, budget, summarize) {
+  const files = parseDiff(diffText);
+  const apiChanges = findApiChanges(diffText);
+  const skipped = [];
+  const meaningful = files.filter(file => {
+    const reason = getNoiseReason(file);
+    if (reason) {
+      skipped.push({ path: file.path, reason });
+    }
+    return !reason;
+  });
+
+  const filteredText = meaningful.map(file => [file.header, ...file.hunks].join('\n')).join('\n');
+  if (estimateTokens(filteredText) <= budget) {
+    return { kind: 'diff', content: filteredText, skipped, apiChanges };
+  }
+
+  // Leave room in each map request for the instructions around the chunk
+  const batchBudget = Math.max(500, Math.floor(budget * 0.8));
+  let parts = chunkFiles(meaningful, batchBudget);
+  logInfo(`Diff exceeds the ${budget}-token budget, summarizing ${parts.length} chunks...`);
+
+  // After one failed request the model is not asked again; the rest of the batches get line counts
+  let canSummarize = true;
+  for (let round = 0; round < MAX_REDUCE_ROUNDS; round++) {
+    const batches = packChunks(parts, batchBudget);
+    const summaries = [];
+
+    for (const batch of batches) {
+      if (!canSummarize) {
+        summaries.push(describeBatch(batch));
+        continue;
+      }
+      const batchText = batch.map(chunk => chunk.text).join('\n');
+      try {
+        summaries.push(await summarize(buildSummaryPrompt(batchText)));
+      } catch (error) {
+        logWarning(`Could not summarize the diff, using line counts instead: ${error.message.split('\n')[0]}`);
+        canSummarize = false;
+        summaries.push(describeBatch(batch));
+      }
+    }
+
+    const combined = summaries.join('\n');
+    if (estimateTokens(combined) <= budget) {
+      return { kind: 'summary', content: combined, skipped, apiChanges };
+    }
+
+    // Summaries are still too large: treat them as chunks and condense again
+    parts = summaries.map((summary, index) => ({ path: `summary ${index + 1}`, text: summary }));
+    // Line counts of line counts say nothing, so without the model the summaries are truncated
+    if (!canSummarize) break;
+  }
+
+  logWarning('Diff summaries still exceed the token budget, truncating');
+  return {
+    kind: 'summary',
+    content: parts.map(part => part.text).join('\n').slice(0, budget * 4),
+    skipped,
+    apiChanges
+  };
+}
@@ -112,19 +112,97 @@ export function displayHelp() {
 ${colorize('PushScript - Git Push Helper', 'cyan')}
 
 ${colorize('Usage:', 'green')}
-  push [message] [branch]
+  push [message] [branch] [path...]
   push main
   push dev
 
+${colorize('Commands:', 'green')}
+  push models [provider...]   List each provider's models and check the configured one
+    --check                   Only report the check, without the model lists
+  push doctor                 Check git, the remote, configuration and provider setup
+    --live                    Also send a short test request to the provider
+    --offline                 Do not contact the git remote
+  push usage                  Summarise provider calls, tokens and cost by day, provider and user
+    --days <n>                Only the last n days (default 30, 0 for all)
+    --json                    Print the summary as JSON
+  push config list            Show every setting, its value and where it came from
+  push config get <key>       Print one setting
+  push config set <key> <v>   Write a setting to the repository config file
+    --global                  Write the user config file instead
+  push prompt preview         Show the prompts for the staged changes without sending them
+    --hint <text>             Include an extra instruction, as when regenerating
+  push prompt variables       List the variables templates can use
+  push prompt init            Copy the built-in templates to .pushscript/prompts
+  push reword [range]         Propose conventional messages for unpushed commits that fail validation
+    --all                     Reword every commit in the range, not only invalid ones
+    --dry-run                 Only show the proposals
+    --yes                     Apply without a terminal
+  push pr                     Write a pull request title and description for the current branch
+    --base <branch>           Branch to merge into (default: the remote's default branch)
+    --output <file>           Write them to a file instead of printing them
+    --hint <text>             Include an extra instruction
+    --create                  Open the pull request through the GitHub API (needs GITHUB_TOKEN)
+    --draft                   Open it as a draft
+  push release [bump]         Bump the version, update CHANGELOG.md and tag, from the commits since the last tag
+                              bump is major, minor, patch or a version (default: what the commits call for)
+    --dry-run                 Only show the version and release notes
+    --polish                  Let the provider rewrite the release notes
+    --yes                     Release without a terminal
+  push hooks install          Make plain git commit fill in and check messages (husky, lefthook or .git/hooks)
+  push hooks uninstall        Remove the hooks again
+
 ${colorize('Options:', 'green')}
   --help           Show this help message
   --main           Push to main branch
   --dev            Push to dev branch
+  --no-cache       Ask the provider again instead of reusing the message cached for this diff
+  --staged         Commit only what is already staged
+  --all, -a        Stage every change first
+  --pick, -p       Choose files and hunks to stage
+  -- <path...>     Stage and commit only these paths
+  --split          Split the staged changes into several commits, each with its own message
+  --amend          Replace the last commit, with a message written from its full diff
+  --provider <p>   Use this provider for one run (overrides every other setting)
+  --model <m>      Use this model for one run
+  --remote <r>     Push to this remote instead of the upstream or origin
+  --new-branch     Move the uncommitted work to a new branch with a generated name and push it there
+  --ticket <id>    Ticket for the <ticket> part of the new branch name
   
 ${colorize('Environment Variables:', 'green')}
-  PUSHSCRIPT_LLM_PROVIDER     LLM provider to use (groq, openai, anthropic, gemini)
+  PUSHSCRIPT_LLM_PROVIDER     LLM provider to use (groq, openai, anthropic, gemini, local, replay)
   PUSHSCRIPT_LLM_API_KEY      API key for the selected provider
   PUSHSCRIPT_LLM_MODEL        Model to use with the selected provider
+  PUSHSCRIPT_LOCAL_BASE_URL   Base URL of a local server (default http://localhost:11434/v1)
+  PUSHSCRIPT_LOCAL_API        API style of the local server (openai, ollama)
+  PUSHSCRIPT_LLM_FALLBACK     Providers to try next, e.g. "openai:gpt-4o-mini,local"
+  PUSHSCRIPT_PLUGINS          Provider plugin modules, e.g. "./tools/azure-provider.js"
+  PUSHSCRIPT_CACHE_TTL        Seconds a generated message is reused for the same diff (default 86400, 0 disables)
+  PUSHSCRIPT_USAGE_LEDGER     Usage ledger file (default .git/pushscript/usage.jsonl, "off" disables)
+  PUSHSCRIPT_MODEL_PRICES     Prices per million tokens, e.g. "my-model=0.5/1.5" (prompt/completion)
+  PUSHSCRIPT_COMMIT_TYPES     Allowed commit types, replaces commitlint's type-enum
+  PUSHSCRIPT_COMMIT_SCOPES    Allowed commit scopes, replaces commitlint's scope-enum
+  PUSHSCRIPT_HEADER_MAX_LENGTH  Maximum length of the first line (default 80)
+  PUSHSCRIPT_TICKET_PATTERN   Regular expression finding the ticket in a branch name, e.g. "PAY-\\d+"
+  PUSHSCRIPT_TICKET_TRAILER   Trailer adding the branch ticket to messages (Refs, Closes, off; default Refs)
+  PUSHSCRIPT_STAGE            What to commit: auto (staged changes, or everything if nothing is staged), staged, all, pick
+  PUSHSCRIPT_SCOPE_STRATEGY   Scope when several workspace packages change (dominant, multi)
+  PUSHSCRIPT_PROMPT_DIR       Prompt templates directory (default .pushscript/prompts)
+  PUSHSCRIPT_RECORD           Set to 1 to save provider responses for the replay provider
+  PUSHSCRIPT_FIXTURES         Fixture file for recording and replay (default .pushscript-fixtures.json)
+  PUSHSCRIPT_LLM_TIMEOUT      Per-request timeout in milliseconds (default 30000)
+  PUSHSCRIPT_LLM_RETRIES      Retries per provider on timeouts, 429 and 5xx (default 2)
+  PUSHSCRIPT_TOKEN_BUDGET     Token budget for diff content before it is summarized
+  PUSHSCRIPT_CANDIDATES       Number of candidate messages to review (default 3)
+  PUSHSCRIPT_LLM_TEMPERATURE  Sampling temperature for a single generated message
+  PUSHSCRIPT_DEFAULT_BRANCH   Branch used when the current branch cannot be detected (default main)
+  PUSHSCRIPT_REMOTE           Remote to push to (default: the branch's upstream, then origin)
+  PUSHSCRIPT_PROTECTED_BRANCHES  Branch rules, e.g. "main=check+confirm,release/*=block" (allow, confirm, check, block)
+  PUSHSCRIPT_CHECK_COMMAND    Command run before pushing to a branch with a "check" rule (default npm test)
+  PUSHSCRIPT_GITHUB_API_URL   GitHub-compatible API for push pr --create (default https://api.github.com)
+  PUSHSCRIPT_GITHUB_REPO      owner/repo for push pr --create (default: from the remote URL)
+  PUSHSCRIPT_TAG_PREFIX       Prefix of release tags (default v)
+  PUSHSCRIPT_BRANCH_PATTERN   Name of --new-branch branches, e.g. "feat/<ticket>-<slug>" (default <type>/<slug>)
+  PUSHSCRIPT_SENSITIVE_FILES  Extra sensitive file globs, "!" to allow, "override:" to replace defaults
 
 ${colorize('Examples:', 'green')}
   push                     # Commit & push to current branch with AI-generated message
@@ -132,6 +210,9 @@ ${colorize('Examples:', 'green')}
   push main                # Commit & push to main branch 
   push dev                 # Commit & push to dev branch
   push "new feature" dev   # Commit with message & push to dev branch
+  push -- src/api          # Commit & push only the changes under src/api
+  push --all --split       # Stage everything, then commit it as a series of logical commits
+  push --new-branch --ticket ABC-123  # Move the work off main to e.g. feat/ABC-123-add-login and push it
   `);
   process.exit(0);
 } 
\ No newline at end of file
@@ -3,22 +3,184 @@
  * Handles git operations and status checking
  */
 
-import { execSync } from 'child_process';
+import { execFileSync, execSync } from 'child_process';
 import readline from 'readline';
+import { getPackageForFile, getWorkspacePackages, inferScope } from './workspace.js';
+
+// Index/worktree status pairs of unmerged paths
+const CONFLICT_STATES = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+
+/**
+ * Parse the submodule field of a porcelain v2 entry
+ * @param {string} field "N..." for ordinary files, "S<c><m><u>" for submodules
+ * @returns {Object|null} { commitChanged, trackedChanges, untrackedChanges }, or null for ordinary files
+ */
+function parseSubmoduleState(field) {
+  if (field.charAt(0) !== 'S') return null;
+  return {
+    commitChanged: field.charAt(1) === 'C',
+    trackedChanges: field.charAt(2) === 'M',
+    untrackedChanges: field.charAt(3) === 'U'
+  };
+}
+
+/**
+ * Build a status entry
+ * @param {Object} fields Entry fields from the porcelain output
+ * @returns {Object} Entry, see getStatus
+ */
+function createStatusEntry({ path, origPath = null, index = '.', worktree = '.', kind = null, score = null, submodule = null, untracked = false, conflicted = false }) {
+  return {
+    path,
+    origPath,
+    index,
+    worktree,
+    kind,
+    score,
+    submodule,
+    untracked,
+    conflicted,
+    staged: !untracked && !conflicted && index !== '.',
+    unstaged: !untracked && !conflicted && worktree !== '.'
+  };
+}
+
+/**
+ * Parse `git status --porcelain=v2 -z` output
+ * @param {string} output Raw output, NUL separated
+ * @returns {Array<Object>} Entries, see getStatus
+ */
+export function parseStatus(output) {
+  const records = output.split('\0');
+  const entries = [];
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) continue;
+
+    if (record.startsWith('? ')) {
+      entries.push(createStatusEntry({ path: record.slice(2), index: '?', worktree: '?', untracked: true }));
+    } else if (record.startsWith('1 ')) {
+      // 1 XY sub mH mI mW hH hI path
+      const fields = record.split(' ');
+      entries.push(createStatusEntry({
+        path: fields.slice(8).join(' '),
+        index: fields[1].charAt(0),
+        worktree: fields[1].charAt(1),
+        submodule: parseSubmoduleState(fields[2])
+      }));
+    } else if (record.startsWith('2 ')) {
+      // 2 XY sub mH mI mW hH hI Xscore path, followed by the original path as its own record
+      const fields = record.split(' ');
+      entries.push(createStatusEntry({
+        path: fields.slice(9).join(' '),
+        origPath: records[++i],
+        index: fields[1].charAt(0),
+        worktree: fields[1].charAt(1),
+        kind: fields[8].charAt(0) === 'C' ? 'copy' : 'rename',
+        score: parseInt(fields[8].slice(1), 10),
+        submodule: parseSubmoduleState(fields[2])
+      }));
+    } else if (record.startsWith('u ')) {
+      // u XY sub m1 m2 m3 mW h1 h2 h3 path
+      const fields = record.split(' ');
+      entries.push(createStatusEntry({
+        path: fields.slice(10).join(' '),
+        index: fields[1].charAt(0),
+        worktree: fields[1].charAt(1),
+        submodule: parseSubmoduleState(fields[2]),
+        conflicted: CONFLICT_STATES.includes(fields[1])
+      }));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Read the working tree status
+ * Each entry has { path, origPath, index, worktree, kind, score, submodule, staged, unstaged,
+ * untracked, conflicted }: index and worktree are the porcelain v2 status letters ('.' for
+ * unchanged), origPath and kind ('rename' or 'copy') describe renames and copies, and submodule
+ * is null for ordinary files. Untracked directories are listed file by file
+ * @param {Array<string>} paths Limit to these paths (everything when empty)
+ * @returns {Object} { entries, staged, unstaged, untracked, conflicted }, each a list of entries
+ */
+export function getStatus(paths = []) {
+  const args = ['status', '--porcelain=v2', '-z', '--untracked-files=all'];
+  if (paths.length > 0) args.push('--', ...paths);
+  const entries = parseStatus(execFileSync('git', args, { maxBuffer: 64 * 1024 * 1024 }).toString());
+
+  return {
+    entries,
+    staged: entries.filter(entry => entry.staged),
+    unstaged: entries.filter(entry => entry.unstaged),
+    untracked: entries.filter(entry => entry.untracked),
+    conflicted: entries.filter(entry => entry.conflicted)
+  };
+}
+
+/**
+ * Status letters of an entry in the short format, e.g. "M", "MM", "R" or "??"
+ * @param {Object} entry Entry from getStatus
+ * @returns {string} Status code
+ */
+function getShortStatus(entry) {
+  return `${entry.index}${entry.worktree}`.replace(/\./g, ' ').trim();
+}
 
 /**
  * Get the git status in a structured format
- * @returns {Array} Array of objects with status and file information
+ * @returns {Array} Array of { status, file, origPath, submodule } for every changed file, staged or not
  */
 export function getGitStatus() {
-  const status = execSync('git status --porcelain').toString();
-  return status
-    .split('\n')
-    .filter(line => line.length > 0)
-    .map(line => ({
-      status: line.slice(0, 2).trim(),
-      file: line.slice(3)
-    }));
+  return getStatus().entries.map(entry => ({
+    status: getShortStatus(entry),
+    file: entry.path,
+    origPath: entry.origPath,
+    submodule: entry.submodule
+  }));
+}
+
+/**
+ * Parse `git diff --name-status -z` output
+ * @param {string} output Raw output, NUL separated
+ * @returns {Array} Array of { status, file, origPath } objects
+ */
+export function parseNameStatus(output) {
+  const records = output.split('\0');
+  const changes = [];
+  for (let i = 0; i < records.length; i++) {
+    const code = records[i];
+    if (!code) continue;
+    // Renames and copies carry a similarity score (R087) and both paths
+    if (/^[RC]/.test(code)) {
+      const origPath = records[++i];
+      changes.push({ status: code.charAt(0), file: records[++i], origPath });
+    } else {
+      changes.push({ status: code.charAt(0), file: records[++i], origPath: null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Get the staged changes, i.e. exactly what the next commit will contain
+ * @param {string} base Commit or tree to compare the index with (defaults to HEAD; HEAD's parent when amending)
+ * @returns {Array} Array of { status, file, origPath, submodule } objects
+ */
+export function getStagedChanges(base = '') {
+  if (base) {
+    const output = execFileSync('git', ['diff', '--cached', '--name-status', '-z', base], { maxBuffer: 64 * 1024 * 1024 }).toString();
+    return parseNameStatus(output).map(change => ({ ...change, submodule: null }));
+  }
+
+  return getStatus().staged.map(entry => ({
+    status: entry.index,
+    file: entry.path,
+    origPath: entry.origPath,
+    submodule: entry.submodule
+  }));
 }
 
 /**
@@ -32,11 +194,19 @@ export function categorizeChanges(changes) {
     modified: [],
     deleted: [],
     renamed: [],
+    submodules: [],
     components: new Set(),
-    features: new Set()
+    features: new Set(),
+    packages: new Set()
   };
+  const { packages } = getWorkspacePackages();
 
   changes.forEach(change => {
+    const pkg = getPackageForFile(change.file, packages);
+    if (pkg) {
+      categories.packages.add(pkg.name);
+    }
+
     // Extract component/feature name from path
     const pathParts = change.file.split('/');
     if (pathParts.includes('components')) {
@@ -52,11 +222,15 @@ export function categorizeChanges(changes) {
       }
     }
 
-    // Categorize by change type
-    if (change.status.includes('A')) categories.added.push(change.file);
+    if (change.submodule) {
+      categories.submodules.push(change.file);
+    }
+
+    // Categorize by change type; a rename can also carry an M for edits after the move
+    if (change.status.includes('R')) categories.renamed.push(change.origPath ? `${change.origPath} -> ${change.file}` : change.file);
+    else if (change.status.includes('A') || change.status.includes('C')) categories.added.push(change.file);
     else if (change.status.includes('M')) categories.modified.push(change.file);
     else if (change.status.includes('D')) categories.deleted.push(change.file);
-    else if (change.status.includes('R')) categories.renamed.push(change.file);
   });
 
   return categories;
@@ -101,12 +275,40 @@ export function generateSimpleCommitMessage(changes) {
     }
   }
 
+  // Workspace packages name the scope better than the path heuristics above
+  scope = inferScope(changes).scope || scope;
+
   const message = scope ? `${type}(${scope}): ${description}` : `${type}: ${description}`;
   console.log('Commit:', message);
   
   return message;
 }
 
+/**
+ * Parent of a commit, or the empty tree for a root commit, for diffing the commit's full changes
+ * @param {string} commit Commit to get the base of
+ * @returns {string} Object name of the parent commit or of the empty tree
+ */
+export function getCommitBase(commit = 'HEAD') {
+  try {
+    return execSync(`git rev-parse --verify -q ${commit}^`, { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return execSync('git hash-object -t tree --stdin', { input: '' }).toString().trim();
+  }
+}
+
+/**
+ * Remote-tracking branches that already contain a commit
+ * @param {string} commit Commit to look for
+ * @returns {Array<string>} Branch names such as "origin/main", empty for unpublished commits
+ */
+export function getRemoteBranchesContaining(commit = 'HEAD') {
+  return execSync(`git branch -r --contains ${commit}`).toString()
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.includes(' -> '));
+}
+
 /**
  * Get the current git branch
  * @returns {string|null} Current branch name or null if not detected
@@ -121,13 +323,62 @@ export async function getCurrentBranch() {
   }
 }
 
+/**
+ * Extract a ticket reference from a branch name
+ * PUSHSCRIPT_TICKET_PATTERN replaces the built-in patterns with a regular expression; its first
+ * group, or the whole match, is the ticket. Otherwise uppercase tracker keys ("feat/ABC-123-login"
+ * -> "ABC-123") and prefixed issue numbers ("fix/issue-42-typo", "gh-42", "#42" -> "#42") are
+ * recognised; bare numbers are not, since branches also carry dates and versions ("hotfix/2024-10-19").
+ * A ticket that is only digits is an issue number and gets a "#"
+ * @param {string|null} branch Branch name
+ * @returns {string|null} Ticket reference, or null if the branch names none
+ * @throws {Error} When PUSHSCRIPT_TICKET_PATTERN is not a valid regular expression
+ */
+export function getTicketFromBranch(branch) {
+  if (!branch) return null;
+
+  const pattern = process.env.PUSHSCRIPT_TICKET_PATTERN;
+  if (pattern) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`PUSHSCRIPT_TICKET_PATTERN is not a valid regular expression: ${error.message}`);
+    }
+    const match = branch.match(regex);
+    const ticket = match ? match[1] || match[0] : null;
+    return ticket && /^\d+$/.test(ticket) ? `#${ticket}` : ticket;
+  }
+
+  const key = branch.match(/(?:^|[/_-])([A-Z][A-Z0-9]+-\d+)(?=$|[/_-])/);
+  if (key) return key[1];
+
+  const issue = branch.match(/(?:^|[/_-])(?:issue-|gh-|#)(\d+)(?=$|[/_-])/i);
+  return issue ? `#${issue[1]}` : null;
+}
+
+/**
+ * Ticket named by the current branch
+ * @returns {string|null} Ticket reference, or null on a detached HEAD or a branch without one
+ */
+export function getCurrentTicket() {
+  let branch;
+  try {
+    branch = execSync('git symbolic-ref --short -q HEAD', { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+  return getTicketFromBranch(branch);
+}
+
 /**
  * Confirm push operation with the user
  * @param {string} commitMessage Commit message to be used
  * @param {string} branchName Branch to push to
+ * @param {string} tracking How the branch compares with the remote, from describeTracking
  * @returns {Promise<boolean>} True if user confirms, false otherwise
  */
-export async function confirmPush(commitMessage, branchName) {
+export async function confirmPush(commitMessage, branchName, tracking = '') {
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
@@ -142,6 +393,9 @@ export async function confirmPush(commitMessage, branchName) {
   console.log('\x1b[37m' + execSync('git diff --cached --stat').toString() + '\x1b[0m');
 
   console.log('\x1b[36mTarget branch:\x1b[0m', branchName);
+  if (tracking) {
+    console.log('\x1b[36mRemote:\x1b[0m', tracking);
+  }
 
   return new Promise((resolve) => {
     rl.question('\x1b[33mProceed with commit and push? (Y/n): \x1b[0m', (answer) => {
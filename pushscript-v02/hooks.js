@@ -0,0 +1,316 @@
+/**
+ * Git hooks for PushScript (`push hooks install`)
+ * prepare-commit-msg fills in a generated message for plain `git commit` and IDE commits, and
+ * commit-msg runs the message validation and sensitive file checks. Installs into husky or
+ * lefthook when the repository uses them, otherwise into git's hooks directory.
+ * Merges, squashes, amends and messages given with -m or -F are left alone by prepare-commit-msg;
+ * merges, squashes and amends also skip commit-msg
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { initialize, generateCommitCandidates } from './index.js';
+import { getStagedChanges } from './git.js';
+import { validateCommitMessage } from './message.js';
+import { checkSensitiveFiles } from './security.js';
+import { colorize, logError, logInfo, logSuccess, logWarning } from './formatting.js';
+
+const HOOKS = ['prepare-commit-msg', 'commit-msg'];
+
+// Lines that start and end what PushScript adds to a hook, so it can be found and removed again
+const BLOCK_START = '# pushscript: added by push hooks install';
+const BLOCK_END = '# pushscript: end';
+
+const LEFTHOOK_FILES = ['lefthook.yml', '.lefthook.yml', 'lefthook.yaml', '.lefthook.yaml'];
+
+// prepare-commit-msg sources whose message commit-msg should not check either
+const PASS_THROUGH_SOURCES = ['merge', 'squash', 'commit'];
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {Array<string>} args Git arguments
+ * @returns {string} Output
+ */
+function git(args) {
+  return execFileSync('git', args, { stdio: ['pipe', 'pipe', 'pipe'] }).toString().trim();
+}
+
+/**
+ * Absolute path of a file in the git directory
+ * @param {string} name Path relative to the git directory
+ * @returns {string} Absolute path
+ */
+function getGitPath(name) {
+  return path.resolve(git(['rev-parse', '--git-path', name]));
+}
+
+/**
+ * Shell lines that run a hook through the locally installed bin, or a global one
+ * A missing PushScript never blocks a commit
+ * @param {string} hook Hook name
+ * @returns {string} Block between BLOCK_START and BLOCK_END
+ */
+function getShellBlock(hook) {
+  return [
+    BLOCK_START,
+    'pushscript_bin="$(git rev-parse --show-toplevel)/node_modules/.bin/push"',
+    '[ -x "$pushscript_bin" ] || pushscript_bin="$(command -v push)"',
+    `[ -z "$pushscript_bin" ] || "$pushscript_bin" hooks run ${hook} "$@" || exit $?`,
+    BLOCK_END
+  ].join('\n');
+}
+
+/**
+ * Remove PushScript's block from a hook script or config
+ * @param {string} text File contents
+ * @returns {string} Contents without the block
+ */
+function removeBlock(text) {
+  const start = text.indexOf(BLOCK_START);
+  const end = text.indexOf(BLOCK_END);
+  if (start === -1 || end === -1) return text;
+  return `${text.slice(0, start).replace(/\n+$/, '\n')}${text.slice(end + BLOCK_END.length).replace(/^\n+/, '\n')}`.replace(/^\n$/, '');
+}
+
+/**
+ * Which hook setup the repository uses
+ * @param {string} root Repository root
+ * @returns {Object} { manager: 'husky'|'lefthook'|'git', dir, file } with dir for husky and git hooks, file for lefthook
+ */
+export function detectHookManager(root) {
+  const huskyDir = path.join(root, '.husky');
+  if (fs.existsSync(huskyDir) && fs.statSync(huskyDir).isDirectory()) {
+    return { manager: 'husky', dir: huskyDir };
+  }
+  const lefthookFile = LEFTHOOK_FILES.map(name => path.join(root, name)).find(file => fs.existsSync(file));
+  if (lefthookFile) {
+    return { manager: 'lefthook', file: lefthookFile };
+  }
+  return { manager: 'git', dir: getGitPath('hooks') };
+}
+
+/**
+ * Add PushScript to a shell hook, creating it if needed; the user's own lines are kept
+ * @param {string} file Hook script
+ * @param {string} hook Hook name
+ * @param {string} preamble Lines a new script starts with
+ * @returns {boolean} True if the hook changed, false if PushScript was already in it
+ */
+function installShellHook(file, hook, preamble) {
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  if (existing.includes(BLOCK_START)) return false;
+
+  const text = existing ? `${existing.replace(/\n*$/, '\n')}\n${getShellBlock(hook)}\n` : `${preamble}${getShellBlock(hook)}\n`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+  fs.chmodSync(file, 0o755);
+  return true;
+}
+
+/**
+ * Remove PushScript from a shell hook; a hook left with nothing but a shebang is deleted
+ * @param {string} file Hook script
+ * @returns {boolean} True if the hook changed
+ */
+function uninstallShellHook(file) {
+  if (!fs.existsSync(file)) return false;
+  const existing = fs.readFileSync(file, 'utf8');
+  if (!existing.includes(BLOCK_START)) return false;
+
+  const text = removeBlock(existing);
+  if (!text.replace(/^#!.*\n?/, '').replace(/^\. .*husky\.sh.*\n?/m, '').trim()) {
+    fs.unlinkSync(file);
+  } else {
+    fs.writeFileSync(file, text);
+  }
+  return true;
+}
+
+/**
+ * lefthook configuration for the hooks
+ * @returns {string} YAML block between BLOCK_START and BLOCK_END
+ */
+function getLefthookBlock() {
+  return [
+    BLOCK_START,
+    'prepare-commit-msg:',
+    '  commands:',
+    '    pushscript:',
+    '      run: npx --no-install push hooks run prepare-commit-msg {1} {2} {3}',
+    'commit-msg:',
+    '  commands:',
+    '    pushscript:',
+    '      run: npx --no-install push hooks run commit-msg {1}',
+    BLOCK_END
+  ].join('\n');
+}
+
+/**
+ * Install the hooks
+ * @param {string} root Repository root
+ * @returns {number} Exit code
+ */
+function installHooks(root) {
+  const setup = detectHookManager(root);
+
+  if (setup.manager === 'lefthook') {
+    const existing = fs.readFileSync(setup.file, 'utf8');
+    if (existing.includes(BLOCK_START)) {
+      logInfo(`${path.basename(setup.file)} already runs PushScript`);
+      return 0;
+    }
+    const taken = HOOKS.filter(hook => new RegExp(`^${hook}:`, 'm').test(existing));
+    if (taken.length > 0) {
+      logWarning(`${path.basename(setup.file)} already configures ${taken.join(' and ')}; add PushScript to it yourself:`);
+      console.log(getLefthookBlock());
+      return 1;
+    }
+    fs.writeFileSync(setup.file, `${existing.replace(/\n*$/, '\n')}\n${getLefthookBlock()}\n`);
+    logSuccess(`Added the hooks to ${path.basename(setup.file)}`);
+    logInfo('Run npx lefthook install if lefthook has not installed its hooks yet');
+    return 0;
+  }
+
+  if (fs.existsSync(setup.dir) && !fs.statSync(setup.dir).isDirectory()) {
+    logError(`Git hooks are disabled: core.hooksPath points to ${setup.dir}`);
+    return 1;
+  }
+
+  // husky 4-8 hooks source husky.sh; husky 9 hooks are plain shell
+  const huskyScript = setup.manager === 'husky' && fs.existsSync(path.join(setup.dir, '_', 'husky.sh'));
+  const preamble = `#!/usr/bin/env sh\n${huskyScript ? '. "$(dirname -- "$0")/_/husky.sh"\n' : ''}\n`;
+  HOOKS.forEach(hook => {
+    const file = path.join(setup.dir, hook);
+    const changed = installShellHook(file, hook, preamble);
+    console.log(`  ${changed ? colorize('added', 'green') : 'already installed'}  ${path.relative(root, file) || file}`);
+  });
+  logSuccess(`Installed the hooks${setup.manager === 'husky' ? ' for husky' : ''}; git commit now fills in and checks the message`);
+  return 0;
+}
+
+/**
+ * Remove the hooks
+ * @param {string} root Repository root
+ * @returns {number} Exit code
+ */
+function uninstallHooks(root) {
+  const setup = detectHookManager(root);
+  if (setup.manager === 'lefthook') {
+    const existing = fs.readFileSync(setup.file, 'utf8');
+    if (existing.includes(BLOCK_START)) {
+      fs.writeFileSync(setup.file, removeBlock(existing));
+      logSuccess(`Removed the hooks from ${path.basename(setup.file)}`);
+    } else {
+      logInfo(`${path.basename(setup.file)} does not run PushScript`);
+    }
+    return 0;
+  }
+
+  const removed = HOOKS.filter(hook => uninstallShellHook(path.join(setup.dir, hook)));
+  logSuccess(removed.length > 0 ? `Removed PushScript from ${removed.join(' and ')}` : 'No PushScript hooks were installed');
+  return 0;
+}
+
+/**
+ * Message text as git will store it: comment lines and everything below the scissors line dropped
+ * @param {string} text Contents of the message file
+ * @returns {string} Message
+ */
+function cleanMessage(text) {
+  let commentChar = '#';
+  try {
+    const configured = git(['config', 'core.commentChar']);
+    if (configured && configured !== 'auto') commentChar = configured;
+  } catch (error) {
+    // Not set, git uses #
+  }
+  const scissors = text.indexOf(`${commentChar} ------------------------ >8 ------------------------`);
+  return (scissors === -1 ? text : text.slice(0, scissors))
+    .split('\n')
+    .filter(line => !line.startsWith(commentChar))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * prepare-commit-msg: fill in a generated message when git has none of its own
+ * Never fails the commit; without a usable provider the offline message is used
+ * @param {Array<string>} args Message file, source and commit from git
+ * @returns {Promise<number>} Exit code, always 0
+ */
+async function runPrepareCommitMsg([file, source = '']) {
+  // commit-msg runs next and needs to know what kind of commit this is
+  const stateFile = getGitPath('pushscript/hook-source');
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(stateFile, source);
+
+  // -m/-F, templates, merges, squashes and amends already have their message
+  if (source || !file) return 0;
+
+  try {
+    await initialize();
+    const changes = getStagedChanges();
+    if (changes.length === 0) return 0;
+
+    const [message] = await generateCommitCandidates(changes, 1);
+    fs.writeFileSync(file, `${message}\n${fs.readFileSync(file, 'utf8')}`);
+  } catch (error) {
+    logWarning(`PushScript could not prepare a commit message: ${error.message}`);
+  }
+  return 0;
+}
+
+/**
+ * commit-msg: check the message and the staged files
+ * @param {Array<string>} args Message file from git
+ * @returns {Promise<number>} Exit code, 1 rejects the commit
+ */
+async function runCommitMsg([file]) {
+  const stateFile = getGitPath('pushscript/hook-source');
+  const source = fs.existsSync(stateFile) ? fs.readFileSync(stateFile, 'utf8').trim() : '';
+  if (fs.existsSync(stateFile)) fs.unlinkSync(stateFile);
+
+  const merging = fs.existsSync(getGitPath('MERGE_HEAD')) || fs.existsSync(getGitPath('SQUASH_MSG'));
+  if (PASS_THROUGH_SOURCES.includes(source) || merging) return 0;
+
+  const message = cleanMessage(fs.readFileSync(file, 'utf8'));
+  // Empty messages are refused by git itself; fixup! and squash! commits are squashed away later
+  if (!message || /^(fixup|squash|amend)! /.test(message)) return 0;
+
+  try {
+    await initialize();
+    checkSensitiveFiles(getStagedChanges().map(change => change.file));
+  } catch (error) {
+    logError(error.message);
+    return 1;
+  }
+
+  const { valid, errors, warnings } = validateCommitMessage(message);
+  warnings.forEach(warning => logWarning(warning));
+  if (!valid) {
+    logError('Commit message rejected:');
+    errors.forEach(error => console.error(`  - ${error}`));
+    console.error(colorize('The message was kept in .git/COMMIT_EDITMSG; fix it with git commit -e -F .git/COMMIT_EDITMSG', 'dim'));
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * `push hooks install|uninstall`, and `push hooks run <hook> ...` which the hooks call
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runHooksCommand(args = []) {
+  const [action, hook, ...hookArgs] = args;
+  const root = git(['rev-parse', '--show-toplevel']);
+
+  if (action === 'install') return installHooks(root);
+  if (action === 'uninstall') return uninstallHooks(root);
+  if (action === 'run' && hook === 'prepare-commit-msg') return runPrepareCommitMsg(hookArgs);
+  if (action === 'run' && hook === 'commit-msg') return runCommitMsg(hookArgs);
+
+  logError('Usage: push hooks install | push hooks uninstall');
+  return 1;
+}
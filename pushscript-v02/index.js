@@ -5,337 +5,387 @@
 
 import { execSync } from 'child_process';
 import fs from 'fs';
-import path from 'path';
-import fetch from 'node-fetch';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import dotenv from 'dotenv';
 
 // Import module components
-import { getProviderConfig, buildApiRequest } from './providers.js';
+import { getProviderConfig, getProviderChain, hasRequiredCredentials } from './providers.js';
+import { loadProviderPlugins } from './plugins.js';
+import { loadEnvironment, loadConfigFiles, getConfiguredTemperature, getDefaultBranch } from './config.js';
+import { callLLM } from './llm.js';
+import { getCacheKey, readCache, writeCache } from './cache.js';
+import { findApiChanges, getTokenBudget, prepareDiffContext } from './diff.js';
+import { buildCommitPrompt, getPromptVersion } from './prompt.js';
+import { finalizeCommitMessage, formatCommitMessage, parseCommitMessage, validateCommitMessage } from './message.js';
+import { loadCommitRules } from './rules.js';
+import { reviewCommitMessage, isInteractive, getCandidateCount, ask } from './review.js';
 import { checkSensitiveFiles, checkDependencyVulnerabilities, promptUser } from './security.js';
 import { detectDependencyConflicts, analyzeDependencyConflictsWithLLM } from './dependency.js';
-import { getGitStatus, categorizeChanges, generateSimpleCommitMessage, getCurrentBranch, confirmPush } from './git.js';
+import { getGitStatus, getStatus, getStagedChanges, getCommitBase, getRemoteBranchesContaining, generateSimpleCommitMessage, getCurrentBranch, getCurrentTicket, confirmPush } from './git.js';
+import { getFilesToStage, getStagingMode, stageChanges } from './staging.js';
+import { commitInGroups } from './split.js';
+import { getPushTarget, getTracking, describeTracking, pushBranch, isRejectedPush, pullRebase, getRebasedFiles } from './remote.js';
+import { generateBranchName, createBranch } from './branch.js';
+import { getBranchProtection, confirmProtectedPush, runProtectionChecks } from './protection.js';
 import { colorize, logInfo, logSuccess, logWarning, logError, logTitle, logList, displayHelp } from './formatting.js';
 
 // Setup for ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load environment variables from .env.local first, then fall back to .env
-function loadEnvironmentVariables() {
-  const envLocalPath = path.join(process.cwd(), '.env.local');
-  const envPath = path.join(process.cwd(), '.env');
-
-  console.log('Environment paths being checked:');
-  console.log(`- .env.local path: ${envLocalPath} (exists: ${fs.existsSync(envLocalPath)})`);
-  console.log(`- .env path: ${envPath} (exists: ${fs.existsSync(envPath)})`);
-
-  if (fs.existsSync(envLocalPath)) {
-    console.log('Loading from .env.local');
-    dotenv.config({ path: envLocalPath });
-  } else if (fs.existsSync(envPath)) {
-    console.log('Loading from .env');
-    dotenv.config({ path: envPath });
-  } else {
-    console.log('No .env or .env.local file found');
+// A push rejected again after this many rebases is left to the user
+const MAX_PUSH_ATTEMPTS = 3;
+
+// Room for a header, a few paragraphs of body and the footers
+const COMMIT_MAX_TOKENS = 500;
+
+let initializePromise = null;
+
+/**
+ * Prepare the engine before a command runs: load the config files, register provider plugins
+ * from PUSHSCRIPT_PLUGINS (which a config file may set) and read the commit rules
+ * Programmatic callers should await this before commit() or push(); safe to call more than once
+ * @returns {Promise<void>}
+ * @throws {Error} When a config file is invalid or a provider plugin cannot be loaded
+ */
+export function initialize() {
+  if (!initializePromise) {
+    initializePromise = loadConfigFiles()
+      .then(() => loadProviderPlugins())
+      .then(() => loadCommitRules())
+      .then(() => {});
   }
+  return initializePromise;
+}
 
-  // Debug: Show relevant environment variables
-  console.log('\nCurrent environment variable values:');
-  console.log(`PUSHSCRIPT_LLM_PROVIDER: ${process.env.PUSHSCRIPT_LLM_PROVIDER || '(not set)'}`);
-  console.log(`GROQ_API_KEY: ${process.env.GROQ_API_KEY ? '(set)' : '(not set)'}`);
-  console.log(`GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? '(set)' : '(not set)'}`);
-  console.log(`ANTHROPIC_API_KEY: ${process.env.ANTHROPIC_API_KEY ? '(set)' : '(not set)'}`);
-  console.log(`OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? '(set)' : '(not set)'}`);
-  console.log(`PUSHSCRIPT_LLM_API_KEY: ${process.env.PUSHSCRIPT_LLM_API_KEY || '(not set)'}`);
-  
-  // Log API key information
-  const providerDetails = getProviderConfig();
-  const { name, apiKey, model } = providerDetails;
-  
-  // Debug: Show provider details
-  console.log('\nProvider details from getProviderConfig():');
-  console.log(`Selected provider: ${name}`);
-  console.log(`API key present: ${apiKey ? 'Yes' : 'No'}`);
-  console.log(`Model specified: ${model || '(none)'}`);
-  
-  if (!apiKey) {
-    logWarning('No PushScript LLM API key found in .env.local or .env file.');
-    logWarning('AI-powered commit messages will not be available.');
-    logWarning('Please set PUSHSCRIPT_LLM_API_KEY in your .env file.');
-  } else {
-    logSuccess(`PushScript using ${name} for AI commit generation`);
-    
-    // Check which model environment variable is being used
-    const providerModelVar = `${name.toUpperCase()}_PUSHSCRIPT_MODEL`;
-    if (model) {
-      if (process.env[providerModelVar]) {
-        logSuccess(`Using model from ${providerModelVar}: ${model}`);
-      } else if (process.env.PUSHSCRIPT_LLM_MODEL) {
-        logSuccess(`Using model from PUSHSCRIPT_LLM_MODEL: ${model}`);
-      } else {
-        logWarning(`Using default ${name} model: ${providerDetails.config.defaultModel}`);
-      }
-    } else {
-      logSuccess(`Using ${name} default model (no model specified)`);
-    }
-    
-    logSuccess(`API key found (starts with): ${apiKey.substring(0, 5)}...`);
+// Last prepared diff context, keyed by the diff and budget it was built for
+let diffContextCache = null;
+
+/**
+ * Fit the staged diff into the primary provider's token budget, summarizing it if needed
+ * Regenerating candidates for the same diff reuses the summaries instead of paying for them again
+ * @param {string} diff Staged diff
+ * @returns {Promise<Object>} Diff context from prepareDiffContext
+ */
+async function getDiffContext(diff) {
+  const budget = getTokenBudget(getProviderConfig());
+
+  if (!diffContextCache || diffContextCache.diff !== diff || diffContextCache.budget !== budget) {
+    const context = await prepareDiffContext(diff, budget, async (summaryPrompt) => {
+      const { text } = await callLLM(summaryPrompt, 300, { purpose: 'diff summary request' });
+      return text;
+    });
+    diffContextCache = { diff, budget, context };
   }
+  return diffContextCache.context;
 }
 
 /**
- * Generate a commit message using an AI provider
+ * Sampling temperatures for a number of candidates, spread so candidates differ
+ * @param {number} count Number of candidates
+ * @returns {Array<number|undefined>} Temperatures, undefined meaning the provider default
+ * (a single candidate uses PUSHSCRIPT_LLM_TEMPERATURE when set)
+ */
+function getCandidateTemperatures(count) {
+  if (count <= 1) return [getConfiguredTemperature()];
+  return Array.from({ length: count }, (_, index) => Math.round((0.2 + (0.8 * index) / (count - 1)) * 10) / 10);
+}
+
+/**
+ * Generate one or more candidate commit messages using an AI provider
+ * Messages are finished with finalizeCommitMessage (wrapped body, BREAKING CHANGE footer for
+ * removed exports, ticket trailer from the branch). The cache keeps the model's text unfinished, so
+ * a cached message gets the trailer of the branch it is used on. Invalid and duplicate candidates
+ * are dropped; if none survive, the simple offline message is returned as the only candidate
  * @param {Array} changes Array of changes from getGitStatus()
- * @returns {string} Generated commit message
+ * @param {number} count Number of candidates to request
+ * @param {string} hint Optional extra instruction from the user
+ * @param {Object} options Generation options
+ * @param {boolean} options.cache Reuse messages cached for the same staged diff (default true)
+ * @param {boolean} options.refresh Ignore cached messages but cache the new ones (used when regenerating)
+ * @param {string} options.diff Diff to describe instead of the staged diff (used by --split)
+ * @returns {Promise<Array<string>>} Candidate commit messages
  */
-async function generateAICommitMessage(changes) {
-  const providerDetails = getProviderConfig();
-  const { name, apiKey, model } = providerDetails;
-  
-  if (!apiKey) {
+export async function generateCommitCandidates(changes, count = 1, hint = '', options = {}) {
+  const { cache = true, refresh = false, diff: diffOverride } = options;
+  const ticket = getCurrentTicket();
+  let removedExports = [];
+  const finish = (message) => finalizeCommitMessage(message, { ticket, removedExports });
+  const fallback = () => [finish(generateSimpleCommitMessage(changes))];
+
+  // Any usable provider in the chain is enough, the primary may be the one missing a key
+  if (!getProviderChain().some(hasRequiredCredentials)) {
     logWarning('No API key found, falling back to standard message generation');
-    return generateSimpleCommitMessage(changes);
+    return fallback();
   }
 
+  let prompt;
+  let systemPrompt;
+  let cacheKey = null;
   try {
-    const categories = categorizeChanges(changes);
-    
-    // Create a detailed description of changes
-    const changesDescription = [
-      `Modified files: ${categories.modified.join(', ')}`,
-      `Added files: ${categories.added.join(', ')}`,
-      `Deleted files: ${categories.deleted.join(', ')}`,
-      `Components affected: ${Array.from(categories.components).join(', ')}`,
-      `Features affected: ${Array.from(categories.features).join(', ')}`
-    ].filter(line => !line.endsWith(': ')).join('\n');
-
-    // Get git diff but limit its size
-    let diff = execSync('git diff --staged').toString();
-    // If diff is too large, only include file names and stats
-    if (diff.length > 2000) {
-      diff = execSync('git diff --staged --stat').toString();
-      logWarning('Diff too large, using summary instead');
+    const diff = diffOverride ?? execSync('git diff --staged', { maxBuffer: 64 * 1024 * 1024 }).toString();
+    removedExports = findApiChanges(diff).removed;
+
+    // Same staged content, provider, model and prompt: reuse what was generated last time
+    if (cache) {
+      const { name, config, model } = getProviderConfig();
+      cacheKey = getCacheKey({ diff, provider: name, model: model || config.defaultModel, promptVersion: getPromptVersion(), hint });
+      const cached = refresh ? null : readCache(cacheKey);
+      // Entries without `raw` hold finished messages, with the trailer of the branch they were made on
+      if (cached && cached.raw) {
+        const minutes = Math.round((Date.now() - cached.createdAt) / 60000);
+        logInfo(`Using commit message${cached.candidates.length > 1 ? 's' : ''} cached ${minutes} minute${minutes === 1 ? '' : 's'} ago for this staged diff (--no-cache to regenerate)`);
+        return [...new Set(cached.candidates.slice(0, Math.max(count, 1)).map(finish))];
+      }
     }
 
-    const prompt = `As a senior developer, create a concise git commit message for these changes.
-Focus on the key changes and their purpose. Keep it brief but informative.
+    ({ prompt, systemPrompt } = buildCommitPrompt(changes, await getDiffContext(diff), hint));
+  } catch (error) {
+    logWarning(`Error generating AI commit message, falling back to standard generation: ${error.message}`);
+    return fallback();
+  }
 
-Changes Overview:
-${changesDescription}
+  const candidates = [];
+  const rawCandidates = [];
+  for (const temperature of getCandidateTemperatures(count)) {
+    try {
+      // Walks the provider chain (primary, then PUSHSCRIPT_LLM_FALLBACK) with timeouts and retries
+      const { text } = await callLLM(prompt, COMMIT_MAX_TOKENS, { purpose: 'commit message request', temperature, systemPrompt });
+      // Some models fence the message like code
+      const raw = text.trim().replace(/^```[\w-]*\n([\s\S]*?)\n```$/, '$1');
+      const message = finish(raw);
+
+      const { valid, errors } = validateCommitMessage(message);
+      if (!valid) {
+        logWarning(`Discarding AI generated message: ${errors.join('; ')}`);
+        continue;
+      }
+      if (!candidates.includes(message)) {
+        candidates.push(message);
+        rawCandidates.push(raw);
+      }
+    } catch (error) {
+      logError(`AI commit message generation failed: ${error.message}`);
+      break;
+    }
+  }
 
-${diff.length > 2000 ? 'Changes Summary:' : 'Git Diff:'}
-\`\`\`
-${diff.substring(0, 2000)}${diff.length > 2000 ? '...' : ''}
-\`\`\`
+  if (candidates.length === 0) {
+    logWarning('No usable AI generated message, falling back to standard generation');
+    return fallback();
+  }
 
-Follow conventional commits format:
-type(scope): concise summary
+  // Only AI messages are cached; the offline fallback is cheap and should retry the provider next time
+  if (cacheKey) {
+    const { name, model } = getProviderConfig();
+    writeCache(cacheKey, { candidates: rawCandidates, raw: true, provider: name, model });
+  }
 
-Where type is one of: feat, fix, docs, style, refactor, perf, test, chore
-Keep the first line under 80 characters.`;
+  return candidates;
+}
 
-    try {
-      logInfo(`Generating commit message using ${name}${model ? '/' + model : ' (default model)'}...`);
-      
-      // Use the buildApiRequest helper to create the request
-      const { request, endpoint } = await buildApiRequest(providerDetails, prompt, 150);
-      
-      // Send the API request
-      const response = await fetch(endpoint, request);
-      
-      // Handle errors with detailed information
-      if (!response.ok) {
-        let errorDetails = '';
-        try {
-          const errorJson = await response.json();
-          errorDetails = JSON.stringify(errorJson, null, 2);
-        } catch (e) {
-          try {
-            errorDetails = await response.text();
-          } catch (e2) {
-            errorDetails = `Status: ${response.status} ${response.statusText}`;
-          }
-        }
-        
-        console.error('Full request details:');
-        console.error('URL:', endpoint);
-        console.error('Headers:', JSON.stringify(request.headers, null, 2));
-        console.error('Body:', JSON.stringify(request.body, null, 2));
-        console.error('\nFull error response:');
-        console.error(errorDetails);
-        
-        throw new Error(`API request failed: ${errorDetails}`);
-      }
+/**
+ * Generate a commit message using an AI provider
+ * @param {Array} changes Array of changes from getGitStatus()
+ * @param {Object} options Generation options, see generateCommitCandidates
+ * @returns {string} Generated commit message
+ */
+async function generateAICommitMessage(changes, options = {}) {
+  const [message] = await generateCommitCandidates(changes, 1, '', options);
 
-      const data = await response.json();
-      const config = providerDetails.config;
-      const message = config.responseHandler(data);
-      
-      // Validate the message format - allowing for more detailed messages
-      const firstLine = message.split('\n')[0];
-      if (!/^(feat|fix|docs|style|refactor|perf|test|chore)(\([a-z-]+\))?: .+/.test(firstLine)) {
-        logWarning('AI generated message first line does not match conventional format, falling back to standard generation');
-        return generateSimpleCommitMessage(changes);
-      }
+  logSuccess(`Commit Message:`);
+  message.split('\n').forEach(line => console.log(colorize(line, 'white')));
 
-      if (firstLine.length > 80) {
-        logWarning('AI generated message first line exceeds 80 characters, falling back to standard generation');
-        return generateSimpleCommitMessage(changes);
-      }
+  return message;
+}
 
-      logSuccess(`AI Generated Commit Message:`);
-      message.split('\n').forEach(line => console.log(colorize(line, 'white')));
+/**
+ * Describe dependency conflicts and how to resolve them, asking the provider for advice when it can
+ * @param {Object} conflictInfo Result of detectDependencyConflicts
+ * @returns {Promise<void>}
+ */
+async function reportDependencyConflicts(conflictInfo) {
+  // Create a friendly name for the conflict type
+  const conflictTypeNames = {
+    'npm_dependency_conflict': 'NPM Dependency Conflict',
+    'invalid_dependencies': 'Invalid Dependencies',
+    'peer_dependency_conflict': 'Peer Dependency Conflict',
+    'dependency_warning': 'Dependency Warning',
+    'version_conflict': 'Version Conflict',
+    'duplicate_packages': 'Duplicate Packages'
+  };
+  
+  const conflictName = conflictTypeNames[conflictInfo.type] || 'Dependency Issue';
+  
+  logError(`${conflictName} detected in ${conflictInfo.file}:`);
+  
+  // Group problems by type for better readability if there are many
+  if (conflictInfo.problems.length > 10) {
+    const groupedByType = {};
+    conflictInfo.problems.forEach(problem => {
+      const type = problem.includes('peer') ? 'peer' : 
+                  problem.includes('version') ? 'version' :
+                  problem.includes('missing') ? 'missing' :
+                  problem.includes('invalid') ? 'invalid' : 'other';
       
-      return message;
-
-    } catch (error) {
-      logError(`${name} API Error: ${error.message}`);
-      return generateSimpleCommitMessage(changes);
+      groupedByType[type] = groupedByType[type] || [];
+      groupedByType[type].push(problem);
+    });
+    
+    Object.entries(groupedByType).forEach(([type, problems]) => {
+      console.log(colorize(`  ${type} issues (${problems.length}):`, 'yellow'));
+      problems.slice(0, 3).forEach(problem => {
+        console.log(`    ${colorize('•', 'yellow')} ${colorize(problem, 'yellow')}`);
+      });
+      if (problems.length > 3) {
+        console.log(`    ${colorize('•', 'yellow')} ${colorize(`...and ${problems.length - 3} more ${type} issues`, 'yellow')}`);
+      }
+    });
+  } else {
+    // Show all problems if there aren't too many
+    conflictInfo.problems.forEach(problem => {
+      console.log(`  ${colorize('•', 'yellow')} ${colorize(problem, 'yellow')}`);
+    });
+  }
+  
+  // For complex conflicts, try to get AI-powered advice
+  const llmAnalysis = await analyzeDependencyConflictsWithLLM(
+    conflictInfo.problems, 
+    conflictInfo.type
+  );
+  
+  if (llmAnalysis) {
+    logTitle('AI Analysis');
+    logInfo('Root Cause:');
+    console.log(`  ${colorize(llmAnalysis.explanation, 'cyan')}`);
+    
+    logInfo('Resolution Strategy:');
+    llmAnalysis.strategy.forEach((step, index) => {
+      console.log(`  ${colorize(`${index + 1}.`, 'cyan')} ${colorize(step, 'white')}`);
+    });
+  } else {
+    // Fall back to basic advice if LLM analysis failed
+    // Determine package manager for advice
+    let pkgManager = 'npm';
+    if (fs.existsSync('pnpm-lock.yaml')) {
+      pkgManager = 'pnpm';
+    } else if (fs.existsSync('yarn.lock')) {
+      pkgManager = 'yarn';
+    }
+    
+    switch (conflictInfo.type) {
+      case 'npm_dependency_conflict':
+        logWarning('These conflicts may cause unexpected behavior or build failures.');
+        logWarning(`Consider running \`${pkgManager} install\` to resolve the conflicts.`);
+        break;
+      case 'invalid_dependencies':
+        logWarning('Some dependencies could not be resolved at their specified versions.');
+        logWarning('Check your package.json for incompatible version ranges.');
+        break;
+      case 'peer_dependency_conflict':
+        logWarning('Peer dependency requirements could not be satisfied.');
+        logWarning('You may need to install compatible versions of related packages.');
+        break;
+      case 'version_conflict':
+        logWarning('Multiple versions of the same package are specified in different dependency sections.');
+        logWarning('Align the versions to avoid potential runtime issues.');
+        break;
+      case 'duplicate_packages':
+        logWarning('Duplicate packages were detected in node_modules.');
+        logWarning(`You might want to run \`${pkgManager} ${pkgManager === 'yarn' ? 'deduplicate' : 'dedupe'}\` to optimize your dependencies.`);
+        break;
+      default:
+        logWarning('Consider resolving these conflicts before committing.');
     }
-
-  } catch (error) {
-    logWarning(`Error generating AI commit message, falling back to standard generation: ${error.message}`);
-    return generateSimpleCommitMessage(changes);
   }
+  
+  logWarning('You can continue anyway, but your build might fail.');
+}
+
+/**
+ * List the high and critical vulnerabilities found in the dependencies
+ * @param {Object} vulnerabilities Result of checkDependencyVulnerabilities
+ */
+function reportVulnerabilities(vulnerabilities) {
+  logError(`Found ${vulnerabilities.count} high or critical severity vulnerabilities:`);
+  vulnerabilities.details.forEach(vuln => {
+    console.log(`  ${colorize('•', 'yellow')} ${colorize(`${vuln.package}: ${vuln.title} (${vuln.severity})`, 'yellow')}`);
+    if (vuln.url) {
+      console.log(`    More info: ${vuln.url}`);
+    }
+  });
+  logWarning('You can continue, but consider addressing these security issues soon.');
 }
 
 /**
  * Creates a Git commit with the specified message
  * @param {string} message Commit message (optional, will be generated if not provided)
- * @returns {string|null} The commit message used, or null if commit failed
+ * @param {Object} options Commit options
+ * @param {boolean} options.interactive Prompt the user (review, confirmations); defaults to true in a terminal
+ * @param {boolean} options.noCache Always ask the provider instead of reusing cached messages
+ * @param {string} options.stage 'auto' (default: what is staged, or everything when nothing is),
+ *   'staged', 'all' or 'pick'; PUSHSCRIPT_STAGE sets the default
+ * @param {Array<string>} options.paths Stage and commit only these paths
+ * @param {boolean} options.split Split the staged changes into several commits, each with its own message
+ * @param {boolean} options.amend Replace HEAD, writing the message from its full diff plus anything staged;
+ *   only what is already staged is added unless a staging mode or paths are given
+ * @returns {string|null} The commit message used (one line per commit when split), or null if commit failed
  */
-export async function commit(message) {
+export async function commit(message, options = {}) {
+  const { interactive = isInteractive(), noCache = false, stage, paths = [], split = false, amend = false } = options;
+  let generationOptions = { cache: !noCache };
+
   try {
-    // Check for sensitive files first
-    checkSensitiveFiles();
+    if (amend && split) {
+      throw new Error('--split cannot be combined with --amend');
+    }
+    if (amend) {
+      const remotes = getRemoteBranchesContaining('HEAD');
+      if (remotes.length > 0) {
+        throw new Error(`HEAD is already on ${remotes.join(', ')}; amending it would rewrite published history`);
+      }
+    }
 
     // Check for unstaged changes
-    const initialStatus = execSync('git status --porcelain').toString().trim();
-    if (!initialStatus) {
+    const status = getStatus();
+    if (status.entries.length === 0 && !amend) {
       logWarning('No changes to commit. Working tree clean.');
       return;
     }
+    if (status.conflicted.length > 0) {
+      throw new Error(`Resolve the conflicts first: ${status.conflicted.map(entry => entry.path).join(', ')}`);
+    }
 
-    // Get list of changed files before staging
-    const changedFiles = initialStatus.split('\n').map(line => line.slice(3));
+    // Check the files about to be staged before touching the index
+    const mode = getStagingMode({ stage: stage || (amend && paths.length === 0 ? 'staged' : undefined), paths });
+    checkSensitiveFiles(getFilesToStage(mode, paths));
 
-    // Stage changes
-    logInfo('Staging changes...');
-    execSync('git add .');
+    await stageChanges(mode, { paths, interactive });
 
-    // Recheck sensitive files after staging
-    checkSensitiveFiles();
+    // An amended commit holds HEAD's changes plus the staged ones, so everything is compared with HEAD's parent
+    const base = amend ? getCommitBase('HEAD') : '';
+    if (amend) {
+      generationOptions = { ...generationOptions, diff: execSync(`git diff --cached ${base}`, { maxBuffer: 64 * 1024 * 1024 }).toString() };
+    }
 
-    // Verify we have staged changes
-    const changes = getGitStatus();
+    // Verify we have staged changes; everything below works on exactly this set
+    const changes = getStagedChanges(base);
     if (changes.length === 0) {
       logWarning('No changes to commit after staging.');
       return;
     }
-    
+    const stagedFiles = changes.map(change => change.file);
+
+    // Recheck sensitive files after staging
+    checkSensitiveFiles(stagedFiles);
+
     // Check for dependency conflicts
-    const conflictInfo = await detectDependencyConflicts(changedFiles);
+    const conflictInfo = await detectDependencyConflicts(stagedFiles);
     if (conflictInfo) {
-      // Create a friendly name for the conflict type
-      const conflictTypeNames = {
-        'npm_dependency_conflict': 'NPM Dependency Conflict',
-        'invalid_dependencies': 'Invalid Dependencies',
-        'peer_dependency_conflict': 'Peer Dependency Conflict',
-        'dependency_warning': 'Dependency Warning',
-        'version_conflict': 'Version Conflict',
-        'duplicate_packages': 'Duplicate Packages'
-      };
-      
-      const conflictName = conflictTypeNames[conflictInfo.type] || 'Dependency Issue';
-      
-      logError(`${conflictName} detected in ${conflictInfo.file}:`);
-      
-      // Group problems by type for better readability if there are many
-      if (conflictInfo.problems.length > 10) {
-        const groupedByType = {};
-        conflictInfo.problems.forEach(problem => {
-          const type = problem.includes('peer') ? 'peer' : 
-                      problem.includes('version') ? 'version' :
-                      problem.includes('missing') ? 'missing' :
-                      problem.includes('invalid') ? 'invalid' : 'other';
-          
-          groupedByType[type] = groupedByType[type] || [];
-          groupedByType[type].push(problem);
-        });
-        
-        Object.entries(groupedByType).forEach(([type, problems]) => {
-          console.log(colorize(`  ${type} issues (${problems.length}):`, 'yellow'));
-          problems.slice(0, 3).forEach(problem => {
-            console.log(`    ${colorize('•', 'yellow')} ${colorize(problem, 'yellow')}`);
-          });
-          if (problems.length > 3) {
-            console.log(`    ${colorize('•', 'yellow')} ${colorize(`...and ${problems.length - 3} more ${type} issues`, 'yellow')}`);
-          }
-        });
-      } else {
-        // Show all problems if there aren't too many
-        conflictInfo.problems.forEach(problem => {
-          console.log(`  ${colorize('•', 'yellow')} ${colorize(problem, 'yellow')}`);
-        });
-      }
-      
-      // For complex conflicts, try to get AI-powered advice
-      const llmAnalysis = await analyzeDependencyConflictsWithLLM(
-        conflictInfo.problems, 
-        conflictInfo.type
-      );
-      
-      if (llmAnalysis) {
-        logTitle('AI Analysis');
-        logInfo('Root Cause:');
-        console.log(`  ${colorize(llmAnalysis.explanation, 'cyan')}`);
-        
-        logInfo('Resolution Strategy:');
-        llmAnalysis.strategy.forEach((step, index) => {
-          console.log(`  ${colorize(`${index + 1}.`, 'cyan')} ${colorize(step, 'white')}`);
-        });
-      } else {
-        // Fall back to basic advice if LLM analysis failed
-        // Determine package manager for advice
-        let pkgManager = 'npm';
-        if (fs.existsSync('pnpm-lock.yaml')) {
-          pkgManager = 'pnpm';
-        } else if (fs.existsSync('yarn.lock')) {
-          pkgManager = 'yarn';
-        }
-        
-        switch (conflictInfo.type) {
-          case 'npm_dependency_conflict':
-            logWarning('These conflicts may cause unexpected behavior or build failures.');
-            logWarning(`Consider running \`${pkgManager} install\` to resolve the conflicts.`);
-            break;
-          case 'invalid_dependencies':
-            logWarning('Some dependencies could not be resolved at their specified versions.');
-            logWarning('Check your package.json for incompatible version ranges.');
-            break;
-          case 'peer_dependency_conflict':
-            logWarning('Peer dependency requirements could not be satisfied.');
-            logWarning('You may need to install compatible versions of related packages.');
-            break;
-          case 'version_conflict':
-            logWarning('Multiple versions of the same package are specified in different dependency sections.');
-            logWarning('Align the versions to avoid potential runtime issues.');
-            break;
-          case 'duplicate_packages':
-            logWarning('Duplicate packages were detected in node_modules.');
-            logWarning(`You might want to run \`${pkgManager} ${pkgManager === 'yarn' ? 'deduplicate' : 'dedupe'}\` to optimize your dependencies.`);
-            break;
-          default:
-            logWarning('Consider resolving these conflicts before committing.');
-        }
-      }
-      
-      logWarning('You can continue anyway, but your build might fail.');
-      
-      // Ask if the user wants to continue anyway
-      const shouldContinue = await promptUser('Continue with commit despite conflicts?');
+      await reportDependencyConflicts(conflictInfo);
+
+      // Ask if the user wants to continue anyway; without a terminal the conflicts are only reported
+      const shouldContinue = !interactive || await promptUser('Continue with commit despite conflicts?');
       
       if (!shouldContinue) {
         logWarning('Commit cancelled. Resolve conflicts and try again.');
@@ -346,23 +396,44 @@ export async function commit(message) {
     // Check for vulnerabilities 
     const vulnerabilities = await checkDependencyVulnerabilities();
     if (vulnerabilities) {
-      logError(`Found ${vulnerabilities.count} high or critical severity vulnerabilities:`);
-      vulnerabilities.details.forEach(vuln => {
-        console.log(`  ${colorize('•', 'yellow')} ${colorize(`${vuln.package}: ${vuln.title} (${vuln.severity})`, 'yellow')}`);
-        if (vuln.url) {
-          console.log(`    More info: ${vuln.url}`);
-        }
+      reportVulnerabilities(vulnerabilities);
+    }
+
+    if (split) {
+      if (message) {
+        logWarning('--split writes a message for each commit; the given message is ignored');
+      }
+      const messages = await commitInGroups(changes, {
+        interactive,
+        generate: (groupChanges, diff, hint) =>
+          generateCommitCandidates(groupChanges, 1, hint, { ...generationOptions, diff, refresh: Boolean(hint) })
       });
-      logWarning('You can continue, but consider addressing these security issues soon.');
+      return messages.length > 0 ? messages.map(text => text.split('\n')[0]).join('\n') : undefined;
     }
 
-    // Generate commit message
-    const commitMessage = message || await generateAICommitMessage(changes);
+    // Generate commit message, letting the user review candidates when attached to a terminal
+    let commitMessage = message;
+    if (!commitMessage && interactive) {
+      const count = getCandidateCount();
+      const candidates = await generateCommitCandidates(changes, count, '', generationOptions);
+      commitMessage = await reviewCommitMessage(candidates, {
+        // Asking for new messages must reach the provider, the fresh ones replace the cached ones
+        regenerate: (hint) => generateCommitCandidates(changes, count, hint, { ...generationOptions, refresh: true })
+      });
+      if (!commitMessage) {
+        logWarning('Commit cancelled by user');
+        return;
+      }
+    } else if (!commitMessage) {
+      commitMessage = await generateAICommitMessage(changes, generationOptions);
+    }
     
-    // Append vulnerability information to the commit message if found
+    // Note vulnerabilities at the end of the body, above the footers so trailers stay last
     let finalCommitMessage = commitMessage;
-    if (vulnerabilities && vulnerabilities.count > 0) {
-      finalCommitMessage += `\n\n[WARNING] Contains ${vulnerabilities.count} security vulnerabilities`;
+    if (commitMessage && vulnerabilities && vulnerabilities.count > 0) {
+      const parts = parseCommitMessage(commitMessage);
+      const warning = `[WARNING] Contains ${vulnerabilities.count} security vulnerabilities`;
+      finalCommitMessage = formatCommitMessage({ ...parts, body: [parts.body, warning].filter(part => part).join('\n\n') });
     }
     
     // Validate commit message
@@ -371,13 +442,11 @@ export async function commit(message) {
       return;
     }
 
-    // Create commit - using -m multiple times to support multi-line messages
-    logInfo('Creating commit...');
+    // Create commit - the message goes through stdin so quotes, blank lines and bodies survive intact
+    logInfo(amend ? 'Amending commit...' : 'Creating commit...');
     try {
-      const messageLines = finalCommitMessage.split('\n');
-      const messageArgs = messageLines.map(line => `-m "${line}"`).join(' ');
-      execSync(`git commit ${messageArgs}`);
-      logSuccess('Successfully created commit!');
+      execSync(`git commit ${amend ? '--amend ' : ''}-F -`, { input: finalCommitMessage });
+      logSuccess(amend ? 'Successfully amended commit!' : 'Successfully created commit!');
       return finalCommitMessage;
     } catch (error) {
       if (error.stdout && error.stdout.toString().includes('nothing to commit')) {
@@ -393,67 +462,156 @@ export async function commit(message) {
       stdout: error.stdout?.toString(),
       stderr: error.stderr?.toString()
     });
-    process.exit(1);
+    throw error;
   }
 }
 
+/**
+ * Check the commits a rebase replayed the way commit() checked the staged changes: sensitive
+ * files, dependency conflicts and vulnerabilities, then the protection rule's checks
+ * @param {string} branch Branch on the remote that is pushed to
+ * @param {Object|null} protection Rule from getBranchProtection
+ * @param {Object} options { interactive }
+ * @returns {Promise<boolean>} False when the user stops the push over dependency conflicts
+ * @throws {Error} When sensitive files are found or the protection checks fail
+ */
+async function checkRebasedCommits(branch, protection, { interactive }) {
+  const files = getRebasedFiles();
+  checkSensitiveFiles(files);
+
+  const conflictInfo = await detectDependencyConflicts(files);
+  if (conflictInfo) {
+    await reportDependencyConflicts(conflictInfo);
+    if (interactive && !await promptUser('Push despite conflicts?')) {
+      return false;
+    }
+  }
+
+  const vulnerabilities = await checkDependencyVulnerabilities();
+  if (vulnerabilities) {
+    reportVulnerabilities(vulnerabilities);
+  }
+
+  runProtectionChecks(branch, protection);
+  return true;
+}
+
 /**
  * Push changes to remote repository
+ * The branch goes to its upstream, or to PUSHSCRIPT_REMOTE / origin when it has none (offering
+ * to set it with -u). The remote branch is fetched first so the user sees how far ahead and
+ * behind the push is; a rejected push can be rebased onto the remote and retried. A protected branch
+ * is confirmed before anything is committed; its checks run on the commit, and again after a rebase
  * @param {string} message Commit message
- * @param {string} branch Branch to push to
+ * @param {string} branch Branch to push to (the name of the new branch with newBranch)
+ * @param {Object} options Same options as commit(), plus:
+ * @param {boolean} options.newBranch Move the uncommitted work onto a new branch first, named by the provider
+ *   after PUSHSCRIPT_BRANCH_PATTERN unless a branch is given, and push it with upstream tracking
+ * @param {string} options.ticket Ticket for the <ticket> placeholder of the branch pattern
+ * @returns {string|undefined} The commit message pushed, or undefined if nothing was pushed
  */
-export async function push(message, branch) {
+export async function push(message, branch, options = {}) {
+  const { interactive = isInteractive(), newBranch = false, ticket = null } = options;
+
   try {
+    if (newBranch) {
+      if (getStatus().entries.length === 0) {
+        logWarning('No changes to move to a new branch. Working tree clean.');
+        return;
+      }
+      if (!branch) {
+        branch = await generateBranchName(getGitStatus(), { ticket });
+        if (interactive) {
+          branch = await ask(`New branch name [${branch}]: `) || branch;
+        }
+      }
+      const from = await getCurrentBranch();
+      createBranch(branch);
+      logSuccess(`Switched to new branch ${branch}${from ? ` (from ${from}, which is left as it was)` : ''}`);
+    }
+
     // Get current branch if none specified
     if (!branch) {
-      branch = await getCurrentBranch() || 'main';
+      branch = await getCurrentBranch() || getDefaultBranch();
       logInfo(`No branch specified, using current branch: ${branch}`);
     }
 
-    const commitMessage = await commit(message);
+    const pushTarget = getPushTarget(branch);
+    // Blocked and unconfirmed pushes to protected branches are refused before anything is committed
+    const protection = getBranchProtection(pushTarget.target, pushTarget.remote);
+    await confirmProtectedPush(pushTarget.target, protection, { interactive });
+
+    const commitMessage = await commit(message, options);
     if (!commitMessage) return; // If commit failed or nothing to commit
 
     // Check if we have changes to push
-    try {
-      const branchStatus = execSync('git status -b --porcelain=v2').toString();
-      if (branchStatus.includes('# branch.ab +0 -0')) {
-        logWarning('Commit created but branch is already up to date with remote.');
-        logWarning('No need to push.');
-        return;
-      }
-    } catch (error) {
-      logWarning('Unable to check branch status, will attempt to push...');
+    logInfo(`Fetching ${pushTarget.remote}/${pushTarget.target}...`);
+    let tracking = getTracking(branch, pushTarget);
+    if (tracking.exists && tracking.ahead === 0) {
+      logWarning('Commit created but branch is already up to date with remote.');
+      logWarning('No need to push.');
+      return;
     }
 
     // Now that we know we have changes to push, ask for confirmation
-    const shouldProceed = await confirmPush(commitMessage, branch);
+    const shouldProceed = !interactive || await confirmPush(commitMessage, branch, describeTracking(pushTarget, tracking));
     
     if (!shouldProceed) {
       logWarning('Push cancelled by user');
       logWarning('Note: Commit was already created locally');
       return;
     }
+    // The checks need the committed tree, so unlike the confirmation they run after the commit
+    runProtectionChecks(pushTarget.target, protection);
+
+    let setUpstream = false;
+    if (!pushTarget.upstream) {
+      setUpstream = newBranch || !interactive ||
+        (await ask(`${branch} has no upstream. Track ${pushTarget.remote}/${pushTarget.target} (push -u)? (Y/n): `)).toLowerCase() !== 'n';
+    }
 
     // Push to remote
-    logInfo(`Pushing to ${branch}...`);
-    try {
-      execSync(`git push origin ${branch}`);
-      logSuccess('Successfully pushed to GitHub!');
-    } catch (error) {
-      if (error.stderr && error.stderr.toString().includes('non-fast-forward')) {
-        logError('Error: Remote has new changes. Please pull first.');
-      } else {
-        logError('Push failed:');
-        if (error.stdout) logError('Output: ' + error.stdout.toString());
-        if (error.stderr) logError('Error: ' + error.stderr.toString());
+    for (let attempt = 1; ; attempt++) {
+      logInfo(`Pushing to ${pushTarget.remote}/${pushTarget.target}...`);
+      try {
+        pushBranch(branch, pushTarget, setUpstream);
+        logSuccess(`Successfully pushed to ${pushTarget.remote}/${pushTarget.target}!`);
+        return commitMessage;
+      } catch (error) {
+        if (!isRejectedPush(error)) {
+          logError('Push failed:');
+          if (error.stdout) logError('Output: ' + error.stdout.toString());
+          if (error.stderr) logError('Error: ' + error.stderr.toString());
+          throw new Error('Failed to push to remote');
+        }
+
+        logError(`Error: ${pushTarget.remote}/${pushTarget.target} has new commits that ${branch} does not.`);
+        if (!interactive || attempt >= MAX_PUSH_ATTEMPTS || !await promptUser('Rebase onto them with git pull --rebase and push again?')) {
+          throw new Error(`The push was rejected; run git pull --rebase ${pushTarget.remote} ${pushTarget.target} and push again`);
+        }
       }
-      throw new Error('Failed to push to remote');
+
+      pullRebase(pushTarget);
+      // The rebased commits are not the ones that were checked
+      if (!await checkRebasedCommits(pushTarget.target, protection, { interactive })) {
+        logWarning('Push cancelled. Resolve conflicts and push again; the rebased commits are kept locally.');
+        return;
+      }
+      tracking = getTracking(branch, pushTarget);
+      logInfo(describeTracking(pushTarget, tracking));
     }
   } catch (error) {
     logError('Error: ' + error.message);
-    process.exit(1);
+    throw error;
   }
 }
 
-// Initialize environment variables on module load
-loadEnvironmentVariables(); 
\ No newline at end of file
+// Engine helpers for programmatic use (the CommonJS PushScriptsModel delegates to these)
+export { getGitStatus, getStatus, getStagedChanges, categorizeChanges, generateSimpleCommitMessage, getCurrentBranch } from './git.js';
+export { checkSensitiveFiles, findSensitiveFiles, getSensitivePatterns, globToRegex, checkDependencyVulnerabilities } from './security.js';
+export { callLLM } from './llm.js';
+export { detectDependencyConflicts } from './dependency.js';
+export { validateCommitMessage } from './message.js';
+
+// Load .env.local / .env on module load; `push doctor` reports what was found
+loadEnvironment();
@@ -0,0 +1,244 @@
+/**
+ * LLM request execution for PushScript
+ * Sends prompts through the provider chain with timeouts, retries and rate-limit backoff
+ */
+
+import fetch from 'node-fetch';
+import { getProviderChain, buildApiRequest, hasRequiredCredentials } from './providers.js';
+import { isRecording, recordResponse } from './replay.js';
+import { recordUsage } from './usage.js';
+import { logInfo, logSuccess, logWarning } from './formatting.js';
+
+// Request defaults, overridable through the environment
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name Environment variable name
+ * @param {number} defaultValue Value used when the variable is unset or invalid
+ * @returns {number} Parsed value
+ */
+function readIntSetting(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Get the timeout and retry settings for provider requests
+ * @returns {Object} Settings with timeoutMs and maxRetries
+ */
+export function getRequestSettings() {
+  return {
+    timeoutMs: readIntSetting('PUSHSCRIPT_LLM_TIMEOUT', DEFAULT_TIMEOUT_MS),
+    maxRetries: readIntSetting('PUSHSCRIPT_LLM_RETRIES', DEFAULT_MAX_RETRIES)
+  };
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|null} headerValue Header value, either delay-seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+export function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+
+  const seconds = Number(headerValue);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * @param {number} attempt Zero-based attempt that just failed
+ * @param {number|null} retryAfterMs Delay requested by the server, if any
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null) {
+    return retryAfterMs;
+  }
+  // Exponential backoff with jitter so parallel runs don't retry in lockstep
+  const exponential = BASE_BACKOFF_MS * 2 ** attempt;
+  const jitter = Math.random() * BASE_BACKOFF_MS;
+  return Math.min(exponential + jitter, MAX_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read an error body from a failed response without throwing
+ * @param {Object} response fetch Response
+ * @returns {Promise<string>} Error details
+ */
+async function readErrorDetails(response) {
+  try {
+    const text = await response.text();
+    return text || `Status: ${response.status} ${response.statusText}`;
+  } catch (error) {
+    return `Status: ${response.status} ${response.statusText}`;
+  }
+}
+
+/**
+ * Send one request with a timeout
+ * Any error thrown here is a timeout or network failure and worth retrying
+ * @param {string} endpoint Request URL
+ * @param {Object} request fetch options
+ * @param {number} timeoutMs Timeout in milliseconds
+ * @returns {Promise<Object>} fetch Response
+ */
+async function fetchWithTimeout(endpoint, request, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(endpoint, { ...request, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Call a single provider, retrying transient failures
+ * Retries on timeouts, network errors, 429 and 5xx responses; other errors fail immediately
+ * @param {Object} providerDetails Provider configuration from getProviderConfig
+ * @param {string} prompt Prompt to send
+ * @param {number} maxTokens Maximum tokens for the response
+ * @param {Object} generationOptions Options for the provider's requestBuilder (e.g. temperature)
+ * @param {Object} settings Settings from getRequestSettings
+ * @returns {Promise<Object>} Result with text, provider name, model, usage ({ promptTokens, completionTokens } or null) and latencyMs
+ */
+export async function callProvider(providerDetails, prompt, maxTokens, generationOptions = {}, settings = getRequestSettings()) {
+  const { name, config } = providerDetails;
+
+  // Providers that answer in-process (e.g. replay) skip HTTP, retries and recording
+  if (config.execute) {
+    const model = providerDetails.model || config.defaultModel || null;
+    const text = await config.execute(prompt, model, maxTokens, generationOptions);
+    return { text, provider: name, model, usage: null, latencyMs: 0 };
+  }
+
+  const { request, endpoint, model } = await buildApiRequest(providerDetails, prompt, maxTokens, generationOptions);
+  const started = Date.now();
+
+  let lastError;
+  for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+    let response = null;
+    let retryAfterMs = null;
+
+    try {
+      response = await fetchWithTimeout(endpoint, request, settings.timeoutMs);
+    } catch (error) {
+      lastError = error;
+    }
+
+    if (response) {
+      if (response.ok) {
+        const data = await response.json();
+        const text = config.responseHandler(data);
+        if (isRecording()) {
+          recordResponse(prompt, { provider: name, model, endpoint, body: request.body }, data, text);
+        }
+        const usage = config.usageHandler ? config.usageHandler(data) : { promptTokens: null, completionTokens: null };
+        return { text, provider: name, model, usage, latencyMs: Date.now() - started };
+      }
+
+      const errorDetails = await readErrorDetails(response);
+      lastError = new Error(`API request failed (${response.status}): ${errorDetails}`);
+      lastError.status = response.status;
+
+      const isRetryable = response.status === 429 || response.status >= 500;
+      if (!isRetryable) {
+        throw lastError;
+      }
+      retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    }
+
+    if (attempt < settings.maxRetries) {
+      const delay = getBackoffDelay(attempt, retryAfterMs);
+      // A server asking us to wait longer than our ceiling is better skipped for the next provider
+      if (delay > MAX_BACKOFF_MS) {
+        logWarning(`${name} asked to retry after ${Math.round(delay / 1000)}s, skipping`);
+        break;
+      }
+      logWarning(`${name} request failed (${lastError.message.split('\n')[0]}), retrying in ${Math.round(delay / 100) / 10}s...`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Send a prompt through the provider chain until one provider answers
+ * @param {string} prompt Prompt to send
+ * @param {number} maxTokens Maximum tokens for the response
+ * @param {Object} options Call options
+ * @param {string} options.purpose Short description used in log output
+ * @param {number} options.temperature Sampling temperature, provider default if omitted
+ * @param {string} options.systemPrompt System prompt, the built-in one if omitted
+ * @returns {Promise<Object>} Result with text, provider name, model, usage and latencyMs
+ * @throws {Error} When every provider in the chain fails
+ */
+export async function callLLM(prompt, maxTokens, options = {}) {
+  const { purpose = 'request', temperature, systemPrompt } = options;
+  const generationOptions = {
+    ...(temperature !== undefined && { temperature }),
+    ...(systemPrompt !== undefined && { systemPrompt })
+  };
+  const settings = getRequestSettings();
+  const chain = getProviderChain().filter(hasRequiredCredentials);
+
+  if (chain.length === 0) {
+    throw new Error('No LLM provider with an API key is configured');
+  }
+
+  const failures = [];
+  for (const providerDetails of chain) {
+    const { name, model } = providerDetails;
+    const label = `${name}${model ? '/' + model : ' (default model)'}`;
+
+    try {
+      logInfo(`Sending ${purpose} to ${label}...`);
+      const result = await callProvider(providerDetails, prompt, maxTokens, generationOptions, settings);
+
+      // Calls answered in-process (replay) cost nothing and are left out of the ledger
+      if (result.usage) {
+        recordUsage({
+          provider: result.provider,
+          model: result.model,
+          purpose: purpose.replace(/ request$/, ''),
+          ...result.usage,
+          latencyMs: result.latencyMs
+        });
+      }
+
+      const answeredBy = `${result.provider}${result.model ? '/' + result.model : ''}`;
+      logSuccess(failures.length > 0 ? `Answered by fallback provider ${answeredBy}` : `Answered by ${answeredBy}`);
+      return result;
+    } catch (error) {
+      logWarning(`${label} failed: ${error.message.split('\n')[0]}`);
+      failures.push(`${label}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All providers failed:\n${failures.join('\n')}`);
+}
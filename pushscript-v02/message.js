@@ -0,0 +1,327 @@
+/**
+ * Commit message helpers for PushScript
+ * Parses, validates and edits conventional commit messages: a header, an optional body wrapped
+ * at BODY_WRAP_WIDTH and footers such as "BREAKING CHANGE: ..." and "Refs: ABC-123"
+ */
+
+import { BODY_WRAP_WIDTH, COMMIT_TYPES, MAX_HEADER_LENGTH, checkBodyRules, checkCommitRules, getBodyWrapWidth, getCommitRules } from './rules.js';
+
+// System prompt for commit messages; {{rules}} lists the repository's commit rules.
+// A repository system.md template replaces it
+export const DEFAULT_SYSTEM_TEMPLATE = `You are a senior software developer. Write a commit message that strictly follows the Conventional Commits format:
+
+<type>(<scope>): <description>
+
+<body>
+
+<footers>
+
+Valid types: {{types}}
+
+Example formats:
+- feat(ui): add new button component
+- fix(auth): resolve login issue with expired tokens
+- docs(readme): update installation instructions
+
+Example of a full message:
+fix(auth): refresh expired tokens before retrying
+
+Requests that failed with an expired token were retried with the same
+token and failed again. The client now refreshes the token once and
+retries the request with the new one.
+
+Use lowercase for type and scope. Keep the first line under {{maxHeaderLength}} characters.
+The body explains what changed and why in plain sentences, wrapped at {{maxBodyLineLength}} columns. Leave it out for trivial changes.
+Only add a footer for a breaking change: "BREAKING CHANGE: <what breaks and how to migrate>".
+Reply with the commit message only.{{#rules}}
+
+Repository rules:
+{{rules}}{{/rules}}`;
+
+// System prompt for requests that do not render the template (diff summaries, dependency analysis)
+export const DEFAULT_SYSTEM_PROMPT = DEFAULT_SYSTEM_TEMPLATE
+  .replace('{{types}}', COMMIT_TYPES.join(', '))
+  .replace('{{maxHeaderLength}}', String(MAX_HEADER_LENGTH))
+  .replace('{{maxBodyLineLength}}', String(BODY_WRAP_WIDTH))
+  .replace(/\{\{#rules\}\}[\s\S]*\{\{\/rules\}\}/, '');
+
+// Types are matched case-insensitively here so type-case can report them
+const HEADER_PATTERN = /^([A-Za-z]+)(?:\(([^()\s]+)\))?(!)?: (.+)$/;
+
+// A footer line, "Token: value" or "Token #value"; tokens use "-" for spaces except BREAKING CHANGE
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(: | #)(.*)$/;
+const BREAKING_TOKEN = /^BREAKING[ -]CHANGE$/;
+
+// Bullets and numbered items, which wrap with their continuation lines indented
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+// Trailers a ticket from the branch can be added with (PUSHSCRIPT_TICKET_TRAILER)
+const TICKET_TRAILERS = ['Refs', 'Closes'];
+
+/**
+ * Parse the header (first line) of a conventional commit message
+ * @param {string} message Commit message
+ * @returns {Object|null} { type, scope, breaking, description } or null if not conventional
+ */
+export function parseCommitHeader(message) {
+  const header = message.split('\n')[0].trim();
+  const match = header.match(HEADER_PATTERN);
+  if (!match) return null;
+
+  return {
+    type: match[1],
+    scope: match[2] || null,
+    breaking: Boolean(match[3]),
+    description: match[4]
+  };
+}
+
+/**
+ * Match a footer line; a bare "BREAKING CHANGE:" starts a footer whose text follows on the next lines
+ * @param {string} line Message line
+ * @returns {Object|null} { token, separator, value } or null
+ */
+function matchFooter(line) {
+  const match = line.match(FOOTER_PATTERN);
+  if (match) return { token: match[1], separator: match[2], value: match[3] };
+  const bare = line.match(/^(BREAKING[ -]CHANGE):\s*$/);
+  return bare ? { token: bare[1], separator: ': ', value: '' } : null;
+}
+
+/**
+ * Split a commit message into its parts
+ * The footer is the last paragraph when it starts with a footer line; a paragraph starting with
+ * BREAKING CHANGE starts the footer wherever it is
+ * @param {string} message Commit message
+ * @returns {Object} { header, body, footer, footers, breaking, bodyLeadingBlank, footerLeadingBlank }
+ * with footers as [{ token, separator, value }], breaking as the BREAKING CHANGE text or null, and
+ * the leading blank flags telling whether a blank line comes before the body and the footer
+ */
+export function parseCommitMessage(message) {
+  const [header = '', ...rest] = (message || '').replace(/\r\n/g, '\n').trim().split('\n');
+
+  const paragraphStarts = rest
+    .map((_, index) => index)
+    .filter(index => rest[index].trim() && (index === 0 || !rest[index - 1].trim()));
+  const breakingStart = paragraphStarts.find(index => {
+    const footer = matchFooter(rest[index]);
+    return footer && BREAKING_TOKEN.test(footer.token);
+  });
+  const lastStart = paragraphStarts[paragraphStarts.length - 1];
+  let footerStart = rest.length;
+  if (breakingStart !== undefined) {
+    footerStart = breakingStart;
+  } else if (lastStart !== undefined && matchFooter(rest[lastStart])) {
+    footerStart = lastStart;
+  }
+
+  // Lines that are not footer lines continue the value of the footer above them
+  const footers = [];
+  rest.slice(footerStart).forEach(line => {
+    const footer = matchFooter(line);
+    if (footer) {
+      footers.push(footer);
+    } else if (footers.length > 0) {
+      footers[footers.length - 1].value += `\n${line}`;
+    }
+  });
+  footers.forEach(footer => { footer.value = footer.value.trim(); });
+  const breaking = footers.find(footer => BREAKING_TOKEN.test(footer.token));
+
+  return {
+    header: header.trim(),
+    body: rest.slice(0, footerStart).join('\n').trim(),
+    footer: rest.slice(footerStart).join('\n').trim(),
+    footers,
+    breaking: breaking ? breaking.value : null,
+    bodyLeadingBlank: rest.length === 0 || !rest[0].trim(),
+    footerLeadingBlank: footerStart > 0 && !rest[footerStart - 1].trim()
+  };
+}
+
+/**
+ * Build a message from its parts, with blank lines between header, body and footer
+ * @param {Object} parts { header, body, footers } as returned by parseCommitMessage
+ * @returns {string} Commit message
+ */
+export function formatCommitMessage({ header, body = '', footers = [] }) {
+  const footer = footers.map(({ token, separator, value }) => `${token}${separator}${value}`).join('\n');
+  return [header, body, footer].filter(part => part).join('\n\n');
+}
+
+/**
+ * Wrap text at a column
+ * Paragraphs and list items are refilled, list items with their continuation lines indented;
+ * code blocks, indented lines and words longer than the width are left as they are
+ * @param {string} text Text to wrap
+ * @param {number} width Maximum line length
+ * @returns {string} Wrapped text
+ */
+export function wrapText(text, width = BODY_WRAP_WIDTH) {
+  const lines = [];
+  let paragraph = null;
+  let fenced = false;
+
+  const flush = () => {
+    if (!paragraph) return;
+    let line = paragraph.prefix;
+    let empty = true;
+    paragraph.words.forEach(word => {
+      if (!empty && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = `${' '.repeat(paragraph.prefix.length)}${word}`;
+      } else {
+        line += `${empty ? '' : ' '}${word}`;
+      }
+      empty = false;
+    });
+    lines.push(line);
+    paragraph = null;
+  };
+
+  text.split('\n').forEach(raw => {
+    const line = raw.trimEnd();
+    const item = line.match(LIST_ITEM_PATTERN);
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      flush();
+      fenced = !fenced;
+      lines.push(line);
+    } else if (fenced || !line.trim() || (!item && !paragraph && /^( {4}|\t)/.test(line))) {
+      flush();
+      lines.push(line);
+    } else if (item) {
+      flush();
+      paragraph = { prefix: item[0], words: line.slice(item[0].length).split(/\s+/).filter(word => word) };
+    } else if (paragraph) {
+      paragraph.words.push(...line.trim().split(/\s+/));
+    } else {
+      const indent = line.match(/^\s*/)[0];
+      paragraph = { prefix: indent, words: line.trim().split(/\s+/) };
+    }
+  });
+  flush();
+
+  return lines.join('\n');
+}
+
+/**
+ * Trailer that references the branch's ticket, from PUSHSCRIPT_TICKET_TRAILER
+ * @returns {string|null} "Refs" (default) or "Closes", or null when set to "off"
+ */
+export function getTicketTrailer() {
+  const setting = (process.env.PUSHSCRIPT_TICKET_TRAILER || 'Refs').toLowerCase();
+  if (setting === 'off') return null;
+  return TICKET_TRAILERS.find(trailer => trailer.toLowerCase() === setting) || 'Refs';
+}
+
+/**
+ * Put a generated message into its final shape: the body and any BREAKING CHANGE footer are
+ * wrapped, removed exports get a BREAKING CHANGE footer when the message has none, and the
+ * branch's ticket is added as a trailer unless a footer already names it
+ * Applying it twice changes nothing
+ * @param {string} message Commit message
+ * @param {Object} options Finishing options
+ * @param {string|null} options.ticket Ticket from the branch, e.g. "ABC-123" or "#42"
+ * @param {Array<Object>} options.removedExports { name, path } of exports the change removes, from findApiChanges
+ * @param {Object} options.rules Rules from getCommitRules (defaults to the rules in effect)
+ * @returns {string} Finished message
+ */
+export function finalizeCommitMessage(message, { ticket = null, removedExports = [], rules = getCommitRules().rules } = {}) {
+  const parts = parseCommitMessage(message);
+  const width = getBodyWrapWidth(rules);
+  const footers = [...parts.footers];
+
+  if (removedExports.length > 0 && parts.breaking === null) {
+    const removed = removedExports.map(({ name, path }) => `${name} (${path})`).join(', ');
+    footers.unshift({ token: 'BREAKING CHANGE', separator: ': ', value: `removes the export${removedExports.length === 1 ? '' : 's'} ${removed}` });
+  }
+
+  const trailer = getTicketTrailer();
+  const referenced = footers.some(({ separator, value }) => `${separator === ' #' ? '#' : ''}${value}`.split(/[\s,]+/).includes(ticket));
+  if (ticket && trailer && !referenced) {
+    footers.push({ token: trailer, separator: ': ', value: ticket });
+  }
+
+  return formatCommitMessage({
+    header: parts.header,
+    body: wrapText(parts.body, width),
+    footers: footers.map(footer => {
+      if (!BREAKING_TOKEN.test(footer.token)) return footer;
+      const prefix = `${footer.token}${footer.separator}`;
+      return { ...footer, value: wrapText(`${prefix}${footer.value}`, width).slice(prefix.length) };
+    })
+  });
+}
+
+/**
+ * Build a header line from its parts
+ * @param {Object} parts { type, scope, breaking, description }
+ * @returns {string} Header line
+ */
+export function formatCommitHeader({ type, scope, breaking, description }) {
+  return `${type}${scope ? `(${scope})` : ''}${breaking ? '!' : ''}: ${description}`;
+}
+
+/**
+ * Validate a commit message against the conventional format and the repository's commit rules
+ * The header, body and footer are checked separately, so every part's problems are reported
+ * @param {string} message Commit message
+ * @param {Object} rules Rules from getCommitRules (defaults to the rules in effect)
+ * @returns {Object} { valid, errors, warnings } with a human readable entry per violated rule;
+ * warnings come from level 1 commitlint rules and do not make the message invalid
+ */
+export function validateCommitMessage(message, rules = getCommitRules().rules) {
+  const trimmed = (message || '').trim();
+
+  if (!trimmed) {
+    return { valid: false, errors: ['Commit message is empty'], warnings: [] };
+  }
+
+  const parts = parseCommitMessage(trimmed);
+  const parsed = parseCommitHeader(parts.header);
+  const header = parsed
+    ? checkCommitRules(parsed, parts.header, rules)
+    : { errors: ['First line must follow "type(scope): description"'], warnings: [] };
+  const rest = checkBodyRules(parts, rules);
+
+  const errors = [...header.errors, ...rest.errors];
+  if (parts.breaking === '') {
+    errors.push('The BREAKING CHANGE footer must say what breaks');
+  }
+  return { valid: errors.length === 0, errors, warnings: [...header.warnings, ...rest.warnings] };
+}
+
+/**
+ * Replace the header of a message while keeping its body
+ * @param {string} message Commit message
+ * @param {Function} update Function receiving the parsed header and returning the changed parts
+ * @returns {string} Updated message, unchanged if the header is not conventional
+ */
+function updateHeader(message, update) {
+  const [header, ...rest] = message.split('\n');
+  const parsed = parseCommitHeader(header);
+  if (!parsed) return message;
+
+  return [formatCommitHeader({ ...parsed, ...update(parsed) }), ...rest].join('\n');
+}
+
+/**
+ * Change the type of a commit message
+ * @param {string} message Commit message
+ * @param {string} type New type
+ * @returns {string} Updated message
+ */
+export function setCommitType(message, type) {
+  return updateHeader(message, () => ({ type }));
+}
+
+/**
+ * Change or remove the scope of a commit message
+ * @param {string} message Commit message
+ * @param {string|null} scope New scope, or empty to remove it
+ * @returns {string} Updated message
+ */
+export function setCommitScope(message, scope) {
+  return updateHeader(message, () => ({ scope: scope || null }));
+}
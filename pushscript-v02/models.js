@@ -0,0 +1,167 @@
+/**
+ * Model discovery for PushScript
+ * Lists the models each provider serves and checks the configured model against them
+ */
+
+import { LLM_PROVIDERS, RETIRED_MODELS, getProviderConfig, getProviderChain, getProviderEnvPrefix, hasRequiredCredentials } from './providers.js';
+import { initialize } from './index.js';
+import { colorize, logInfo, logSuccess, logWarning, logError, logTitle } from './formatting.js';
+
+/**
+ * Suggest a replacement for a model the provider does not serve
+ * Known retirements win; otherwise the provider default if it is served, then the first served model
+ * @param {string} providerName Provider name
+ * @param {string} model Configured model
+ * @param {Array<string>} available Model names the provider serves
+ * @returns {string|null} Suggested model, or null if there is nothing to suggest
+ */
+export function suggestReplacement(providerName, model, available) {
+  const retired = (RETIRED_MODELS[providerName] || {})[model];
+  if (retired && (available.length === 0 || available.includes(retired))) {
+    return retired;
+  }
+
+  const { defaultModel } = LLM_PROVIDERS[providerName] || {};
+  if (defaultModel && defaultModel !== model && available.includes(defaultModel)) {
+    return defaultModel;
+  }
+
+  return available[0] || null;
+}
+
+/**
+ * List a provider's models and check its configured model
+ * @param {Object} providerDetails Provider configuration from getProviderConfig
+ * @returns {Promise<Object>} Report with name, model, source, status, models, suggestion and error
+ * status is 'valid', 'invalid', 'unchecked' (models could not be listed), 'no-credentials' or 'unsupported'
+ */
+export async function checkProviderModels(providerDetails) {
+  const { name, config, apiKey } = providerDetails;
+  const model = providerDetails.model || config.defaultModel || null;
+  const report = {
+    name,
+    model,
+    source: providerDetails.model ? 'configured' : 'default',
+    status: 'unchecked',
+    models: [],
+    suggestion: null,
+    error: null
+  };
+
+  if (!hasRequiredCredentials(providerDetails)) {
+    report.status = 'no-credentials';
+    return report;
+  }
+  if (!config.listModels) {
+    report.status = 'unsupported';
+    return report;
+  }
+
+  try {
+    report.models = (await config.listModels(apiKey)).map(entry => entry.name);
+  } catch (error) {
+    report.error = error.message;
+    // Without a list we can still flag names we know are retired
+    report.suggestion = model ? (RETIRED_MODELS[name] || {})[model] || null : null;
+    return report;
+  }
+
+  if (!model) {
+    // Providers without a default use the first model they serve
+    report.model = report.models[0] || null;
+    report.source = 'discovered';
+    report.status = report.model ? 'valid' : 'invalid';
+    return report;
+  }
+
+  report.status = report.models.includes(model) ? 'valid' : 'invalid';
+  if (report.status === 'invalid') {
+    report.suggestion = suggestReplacement(name, model, report.models);
+  }
+
+  return report;
+}
+
+/**
+ * Print one provider report
+ * @param {Object} report Report from checkProviderModels
+ * @param {boolean} showModels Print every available model, not just the check
+ */
+function printReport(report, showModels) {
+  const prefix = getProviderEnvPrefix(report.name);
+  const label = report.model ? `${report.model} (${report.source})` : '(no model)';
+  logTitle(`${report.name}: ${label}`);
+
+  switch (report.status) {
+    case 'valid':
+      logSuccess(`${report.model} is available`);
+      break;
+    case 'invalid':
+      logError(report.model ? `${report.model} is not served by ${report.name}` : `${report.name} serves no models`);
+      break;
+    case 'no-credentials':
+      logWarning(`Skipped: set ${prefix}_API_KEY to check this provider`);
+      return;
+    case 'unsupported':
+      logWarning('This provider cannot list its models');
+      return;
+    default:
+      logWarning(`Could not list models: ${report.error.split('\n')[0]}`);
+  }
+
+  if (report.suggestion) {
+    logInfo(`Suggested replacement: ${report.suggestion}`);
+    logInfo(`  Set ${prefix}_PUSHSCRIPT_MODEL=${report.suggestion}`);
+  }
+
+  if (showModels && report.models.length > 0) {
+    console.log(colorize(`  ${report.models.length} models available:`, 'dim'));
+    report.models.forEach(name => {
+      const marker = name === report.model ? colorize('*', 'green') : ' ';
+      console.log(`  ${marker} ${name}`);
+    });
+  }
+}
+
+/**
+ * `push models [provider...] [--check]`
+ * Lists the models of every provider (or only the named ones) and checks the configured model.
+ * Exits non-zero when a checked model is not available
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runModelsCommand(args = []) {
+  await initialize();
+
+  const checkOnly = args.includes('--check');
+  const requested = args.filter(arg => !arg.startsWith('--')).map(arg => arg.toLowerCase());
+
+  const unknown = requested.filter(name => !LLM_PROVIDERS[name]);
+  if (unknown.length > 0) {
+    logError(`Unknown provider: ${unknown.join(', ')}. Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+    return 1;
+  }
+
+  const chain = getProviderChain();
+  const names = requested.length > 0 ? requested : Object.keys(LLM_PROVIDERS);
+
+  let invalid = 0;
+  for (const name of names) {
+    // Providers in the chain are checked with the model they would be called with;
+    // the generic key and model only belong to the primary provider
+    const details = chain.find(entry => entry.name === name) || getProviderConfig(name, { fallback: true });
+    const report = await checkProviderModels(details);
+    printReport(report, !checkOnly);
+    if (report.status === 'invalid') {
+      invalid++;
+    }
+  }
+
+  console.log('');
+  if (invalid > 0) {
+    logError(`${invalid} provider${invalid === 1 ? ' has' : 's have'} an unavailable model`);
+    return 1;
+  }
+  logSuccess('No unavailable models found');
+  return 0;
+}
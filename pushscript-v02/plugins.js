@@ -0,0 +1,114 @@
+/**
+ * Provider plugins for PushScript
+ * Loads provider modules named in PUSHSCRIPT_PLUGINS and registers them next to the built-in providers
+ */
+
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { registerProvider } from './providers.js';
+import { logInfo } from './formatting.js';
+
+// Plugins are loaded once per process
+let pluginsPromise = null;
+
+/**
+ * Parse PUSHSCRIPT_PLUGINS into plugin specs
+ * Entries are comma separated, either `path` or `name=path`, e.g.
+ * "./tools/azure-provider.js,bedrock=@acme/pushscript-bedrock"
+ * @param {string} spec Value of PUSHSCRIPT_PLUGINS
+ * @returns {Array<Object>} Plugins as { name, specifier }, name is null when the module provides it
+ */
+export function parsePluginList(spec) {
+  return (spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const separatorIndex = entry.indexOf('=');
+      return separatorIndex === -1
+        ? { name: null, specifier: entry }
+        : { name: entry.slice(0, separatorIndex).trim(), specifier: entry.slice(separatorIndex + 1).trim() };
+    });
+}
+
+/**
+ * Resolve a plugin specifier from the project directory
+ * Relative and absolute paths are files; anything else is a package installed in the project
+ * @param {string} specifier Path or package name
+ * @param {string} cwd Project directory
+ * @returns {string} Absolute path of the module
+ */
+function resolvePlugin(specifier, cwd) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return path.resolve(cwd, specifier);
+  }
+  return createRequire(path.join(cwd, 'package.json')).resolve(specifier);
+}
+
+/**
+ * Import one plugin module and register its provider
+ * The module exports the provider either as its default export or as named exports;
+ * the provider name comes from the `name=` prefix, then the module's `name`, then the file name
+ * @param {Object} plugin Plugin spec from parsePluginList
+ * @param {string} cwd Project directory
+ * @returns {Promise<string>} Name of the registered provider
+ */
+async function loadPlugin({ name, specifier }, cwd) {
+  let resolved;
+  let module;
+  try {
+    resolved = resolvePlugin(specifier, cwd);
+    module = await import(pathToFileURL(resolved).href);
+  } catch (error) {
+    throw new Error(`Could not load provider plugin "${specifier}": ${error.message}`);
+  }
+
+  const provider = module.default && typeof module.default === 'object' ? module.default : module;
+  const providerName = name || provider.name || path.basename(resolved, path.extname(resolved));
+
+  const definition = { ...provider };
+  delete definition.name;
+  delete definition.default;
+
+  try {
+    registerProvider(providerName, definition);
+  } catch (error) {
+    throw new Error(`Provider plugin "${specifier}" is not valid. ${error.message}`);
+  }
+
+  return providerName;
+}
+
+/**
+ * Load and register every provider plugin listed in PUSHSCRIPT_PLUGINS
+ * Safe to call more than once; the plugins are only loaded the first time
+ * @param {string} cwd Project directory plugin paths are resolved from
+ * @returns {Promise<Array<string>>} Names of the registered providers
+ * @throws {Error} Listing every plugin that failed to load or validate
+ */
+export function loadProviderPlugins(cwd = process.cwd()) {
+  if (!pluginsPromise) {
+    pluginsPromise = (async () => {
+      const names = [];
+      const failures = [];
+
+      for (const plugin of parsePluginList(process.env.PUSHSCRIPT_PLUGINS)) {
+        try {
+          names.push(await loadPlugin(plugin, cwd));
+        } catch (error) {
+          failures.push(error.message);
+        }
+      }
+
+      if (failures.length > 0) {
+        throw new Error(`Provider plugins failed to load:\n${failures.join('\n')}`);
+      }
+      if (names.length > 0) {
+        logInfo(`Loaded provider plugins: ${names.join(', ')}`);
+      }
+      return names;
+    })();
+  }
+  return pluginsPromise;
+}
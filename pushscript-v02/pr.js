@@ -0,0 +1,299 @@
+/**
+ * Pull request descriptions for PushScript (`push pr`)
+ * Writes a title and markdown description from the commits and diff between the current branch
+ * and its base, filling in the repository's pull request template when there is one. The result
+ * is printed or written to a file; --create opens the pull request through a GitHub-compatible API
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { initialize } from './index.js';
+import { callLLM } from './llm.js';
+import { getProviderChain, getProviderConfig, hasRequiredCredentials } from './providers.js';
+import { getTokenBudget, prepareDiffContext } from './diff.js';
+import { getCurrentBranch, getTicketFromBranch } from './git.js';
+import { getPushTarget, getRemoteDefaultBranch, getTracking } from './remote.js';
+import { logError, logInfo, logSuccess, logWarning } from './formatting.js';
+
+// Where GitHub looks for a pull request template, first one found wins
+const PR_TEMPLATE_PATHS = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  '.github/PULL_REQUEST_TEMPLATE',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md'
+];
+
+// Sections of the description when the repository has no template
+const DEFAULT_SECTIONS = `## Summary
+What the change does and why, in one to three sentences.
+
+## Changes
+A bullet list of the notable changes.
+
+## Risks
+What could break: behaviour changes, migrations, configuration, performance. "None known" if nothing stands out.
+
+## Test plan
+How the change was verified, or should be, as a bullet list.`;
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {Array<string>} args Git arguments
+ * @returns {string} Output
+ */
+function git(args) {
+  return execFileSync('git', args, { stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }).toString().trim();
+}
+
+/**
+ * Value of an option such as `--base main`
+ * @param {Array<string>} args Command arguments
+ * @param {string} name Option name
+ * @returns {string|undefined} Value, or undefined when the option is not given
+ */
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Find the repository's pull request template
+ * A PULL_REQUEST_TEMPLATE directory holds several; the first one by name is used
+ * @returns {Object|null} { path, text }, or null when there is none
+ */
+export function findPullRequestTemplate() {
+  const root = git(['rev-parse', '--show-toplevel']);
+  for (const candidate of PR_TEMPLATE_PATHS) {
+    let file = path.join(root, candidate);
+    if (!fs.existsSync(file)) continue;
+    if (fs.statSync(file).isDirectory()) {
+      const [first] = fs.readdirSync(file).filter(name => name.toLowerCase().endsWith('.md')).sort();
+      if (!first) continue;
+      file = path.join(file, first);
+    }
+    return { path: path.relative(root, file), text: fs.readFileSync(file, 'utf8').trim() };
+  }
+  return null;
+}
+
+/**
+ * Commits of the current branch that are not on its base
+ * @param {string} base Base branch; the remote-tracking branch is preferred over a local one
+ * @param {string} remote Remote the base lives on
+ * @returns {Object} { baseRef, mergeBase, commits } with commits as { hash, subject, body }, oldest first
+ * @throws {Error} When the base cannot be found
+ */
+export function getBranchRange(base, remote) {
+  const candidates = [`refs/remotes/${remote}/${base}`, `refs/heads/${base}`, base];
+  const baseRef = candidates.find(ref => {
+    try {
+      git(['rev-parse', '--verify', '-q', `${ref}^{commit}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!baseRef) {
+    throw new Error(`Base branch "${base}" not found; pass it with --base`);
+  }
+
+  const mergeBase = git(['merge-base', baseRef, 'HEAD']);
+  const commits = git(['log', '--reverse', '--format=%H%x1f%s%x1f%b%x1e', `${mergeBase}..HEAD`])
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(record => record)
+    .map(record => {
+      const [hash, subject, body = ''] = record.split('\x1f');
+      return { hash, subject, body: body.trim() };
+    });
+  return { baseRef: baseRef.replace(/^refs\/(remotes|heads)\//, ''), mergeBase, commits };
+}
+
+/**
+ * Description written without a provider: the commit subjects under the template or default sections
+ * @param {Object} details { branch, commits, template, ticket }
+ * @returns {Object} { title, body }
+ */
+function buildOfflineDescription({ branch, commits, template, ticket }) {
+  const changes = commits.map(commit => `- ${commit.subject}`).join('\n');
+  const title = commits.length === 1
+    ? commits[0].subject
+    : branch.replace(/^[^/]+\//, '').replace(/[-_]+/g, ' ');
+  const reference = ticket ? `\n\nRefs: ${ticket}` : '';
+
+  if (template) {
+    return { title, body: `${template.text}\n\n## Commits\n${changes}${reference}` };
+  }
+  return {
+    title,
+    body: `## Summary\n${commits.length} commit${commits.length === 1 ? '' : 's'} from \`${branch}\`.${reference}\n\n## Changes\n${changes}\n\n## Risks\nNot assessed.\n\n## Test plan\n- [ ] Describe how this was tested`
+  };
+}
+
+/**
+ * Write the title and description with the provider
+ * @param {Object} details { branch, base, commits, diff, template, ticket, hint }
+ * @returns {Promise<Object>} { title, body }; the offline description when no provider is usable
+ */
+export async function generatePullRequest(details) {
+  const { branch, base, commits, diff, template, ticket, hint } = details;
+  if (!getProviderChain().some(hasRequiredCredentials)) {
+    logWarning('No API key found, listing the commits instead of writing a description');
+    return buildOfflineDescription(details);
+  }
+
+  const diffContext = await prepareDiffContext(diff, getTokenBudget(getProviderConfig()), async (summaryPrompt) => {
+    const { text } = await callLLM(summaryPrompt, 300, { purpose: 'diff summary request' });
+    return text;
+  });
+
+  const prompt = `Write a pull request title and description for merging the branch "${branch}" into "${base}".
+
+Commits:
+${commits.map(commit => `- ${commit.subject}${commit.body ? `\n  ${commit.body.split('\n').join('\n  ')}` : ''}`).join('\n')}
+
+${diffContext.kind === 'summary' ? 'Summary of the changes (the full diff was too large to include):' : 'Diff:'}
+${diffContext.content}
+
+${template
+    ? `Fill in the repository's pull request template below. Keep its headings, checklists and order; replace the placeholder text and comments with real content:\n\n${template.text}`
+    : `Use these markdown sections:\n\n${DEFAULT_SECTIONS}`}
+${ticket ? `\nMention the ticket ${ticket} in the description.` : ''}${hint ? `\n${hint}` : ''}
+
+Reply with the title on the first line (imperative mood, under 72 characters, no markdown), then a blank line, then the description in markdown. Nothing else.`;
+
+  try {
+    logInfo('Writing the pull request description...');
+    const { text } = await callLLM(prompt, 1200, { purpose: 'pull request request' });
+    const [first, ...rest] = text.trim().split('\n');
+    const title = first.replace(/^(#+\s*|title:\s*)/i, '').replace(/^["*`]+|["*`]+$/g, '').trim();
+    const body = rest.join('\n').trim();
+    if (!title || !body) throw new Error('the answer has no title or no description');
+    return { title, body };
+  } catch (error) {
+    logWarning(`Could not write the description, listing the commits instead: ${error.message}`);
+    return buildOfflineDescription(details);
+  }
+}
+
+/**
+ * Owner and name of the GitHub repository behind a remote, or PUSHSCRIPT_GITHUB_REPO
+ * @param {string} remote Remote name
+ * @returns {string} "owner/repo"
+ * @throws {Error} When the remote URL does not name a repository
+ */
+function getRepositorySlug(remote) {
+  if (process.env.PUSHSCRIPT_GITHUB_REPO) return process.env.PUSHSCRIPT_GITHUB_REPO;
+  const url = git(['remote', 'get-url', remote]);
+  const match = url.match(/[:/]([^/:]+\/[^/]+?)(?:\.git)?\/?$/);
+  if (!match) {
+    throw new Error(`Cannot tell the repository from ${url}; set PUSHSCRIPT_GITHUB_REPO=owner/repo`);
+  }
+  return match[1];
+}
+
+/**
+ * Open a pull request through a GitHub-compatible REST API (PUSHSCRIPT_GITHUB_API_URL)
+ * @param {Object} pullRequest { title, body, head, base, draft, remote }
+ * @returns {Promise<Object>} The API's pull request, with number and html_url
+ * @throws {Error} When there is no token or the API refuses the request
+ */
+export async function createPullRequest({ title, body, head, base, draft = false, remote }) {
+  const token = process.env.PUSHSCRIPT_GITHUB_TOKEN || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  if (!token) {
+    throw new Error('Creating a pull request needs GITHUB_TOKEN (or GH_TOKEN, PUSHSCRIPT_GITHUB_TOKEN)');
+  }
+
+  const apiUrl = (process.env.PUSHSCRIPT_GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+  const response = await fetch(`${apiUrl}/repos/${getRepositorySlug(remote)}/pulls`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/vnd.github+json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ title, body, head, base, draft })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText;
+    try {
+      const data = JSON.parse(errorText);
+      message = [data.message, ...(data.errors || []).map(item => item.message || item.code)].filter(Boolean).join(': ');
+    } catch (error) {
+      // Not JSON, keep the text
+    }
+    throw new Error(`Failed to create the pull request: ${message || response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * `push pr [--base <branch>] [--output <file>] [--hint <text>] [--create] [--draft]`
+ * Prints a title and description for the current branch, writes them to a file (title on the
+ * first line, then a blank line and the description) or opens the pull request
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runPrCommand(args = []) {
+  await initialize();
+
+  const branch = await getCurrentBranch();
+  if (!branch) {
+    logError('Check out a branch first; a detached HEAD has no pull request');
+    return 1;
+  }
+  const pushTarget = getPushTarget(branch);
+  const base = getOption(args, '--base') || getRemoteDefaultBranch(pushTarget.remote);
+  if (base === branch || base === pushTarget.target) {
+    logError(`${branch} is the base branch; run this on the branch you want to merge, or pass --base`);
+    return 1;
+  }
+
+  const { baseRef, mergeBase, commits } = getBranchRange(base, pushTarget.remote);
+  if (commits.length === 0) {
+    logWarning(`${branch} has no commits that are not on ${baseRef}`);
+    return 1;
+  }
+  logInfo(`${commits.length} commit${commits.length === 1 ? '' : 's'} since ${baseRef}`);
+
+  const template = findPullRequestTemplate();
+  if (template) {
+    logInfo(`Using the pull request template ${template.path}`);
+  }
+
+  const { title, body } = await generatePullRequest({
+    branch,
+    base,
+    commits,
+    diff: git(['diff', mergeBase, 'HEAD']),
+    template,
+    ticket: getTicketFromBranch(branch),
+    hint: getOption(args, '--hint')
+  });
+
+  const output = getOption(args, '--output');
+  if (output) {
+    fs.writeFileSync(output, `${title}\n\n${body}\n`);
+    logSuccess(`Wrote the pull request description to ${output}`);
+  } else if (!args.includes('--create')) {
+    console.log(`\n${title}\n\n${body}\n`);
+  }
+
+  if (args.includes('--create')) {
+    const tracking = getTracking(branch, pushTarget);
+    if (!tracking.exists || tracking.ahead > 0) {
+      logError(`Push ${branch} first; ${pushTarget.remote}/${pushTarget.target} ${tracking.exists ? 'is missing some of its commits' : 'does not exist'}`);
+      return 1;
+    }
+    const pullRequest = await createPullRequest({ title, body, head: pushTarget.target, base, draft: args.includes('--draft'), remote: pushTarget.remote });
+    logSuccess(`Opened pull request #${pullRequest.number}: ${pullRequest.html_url}`);
+  }
+  return 0;
+}
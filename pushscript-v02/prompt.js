@@ -0,0 +1,295 @@
+/**
+ * Commit prompt templates for PushScript
+ * The commit prompt and system prompt can be replaced per repository with commit.md and system.md
+ * in .pushscript/prompts (PUSHSCRIPT_PROMPT_DIR). Templates use {{variable}} placeholders and
+ * {{#variable}}...{{/variable}} sections that are only kept when the variable is not empty
+ */
+
+import { execSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getProviderConfig } from './providers.js';
+import { estimateTokens, getTokenBudget, prepareDiffContext } from './diff.js';
+import { DEFAULT_SYSTEM_TEMPLATE } from './message.js';
+import { describeRules, getAllowedTypes, getBodyWrapWidth, getCommitRules, getHeaderMaxLength } from './rules.js';
+import { categorizeChanges, getStagedChanges, getTicketFromBranch } from './git.js';
+import { inferScope } from './workspace.js';
+import { initialize } from './index.js';
+import { colorize, logInfo, logTitle, logWarning } from './formatting.js';
+
+const DEFAULT_PROMPT_DIR = path.join('.pushscript', 'prompts');
+
+// Number of recent commit subjects offered to templates
+const RECENT_COMMIT_COUNT = 10;
+
+export const DEFAULT_COMMIT_TEMPLATE = `As a senior developer, write a git commit message for these changes.
+Focus on the key changes and their purpose. Keep it brief but informative.
+
+Changes Overview:
+{{changes}}
+{{#skipped}}
+Also changed (lockfiles, generated or binary files, contents not shown): {{skipped}}
+{{/skipped}}
+{{diffLabel}}
+\`\`\`
+{{diff}}
+\`\`\`
+
+Follow conventional commits format:
+type(scope): concise summary
+
+Body explaining what changed and why, unless the change is trivial
+
+Where type is one of: {{types}}{{#scope}}
+Suggested scope, from the workspace packages changed: {{scope}}{{/scope}}
+Keep the first line under {{maxHeaderLength}} characters and wrap the body at {{maxBodyLineLength}} columns.{{#breaking}}
+
+Public API changes found in the diff: {{breaking}}
+If code using them has to change, end with a "BREAKING CHANGE: <what breaks and how to migrate>" footer.{{/breaking}}{{#hint}}
+
+Additional instructions from the developer: {{hint}}{{/hint}}`;
+
+// Variables available to templates, with the description shown by `push prompt variables`
+export const TEMPLATE_VARIABLES = {
+  changes: 'Modified, added and deleted files and affected components',
+  diff: 'Staged diff, or a summary of it when it exceeds the token budget',
+  diffLabel: '"Git Diff:" or a note that the diff was summarized',
+  skipped: 'Lockfiles, generated and binary files left out of the diff',
+  stats: 'Staged diff statistics, e.g. "3 files changed, 40 insertions(+)"',
+  branch: 'Current branch',
+  ticket: 'Ticket named in the branch, e.g. ABC-123 or #42',
+  recentCommits: `Subjects of the last ${RECENT_COMMIT_COUNT} commits, one per line`,
+  scopes: 'Scopes detected from the changed paths and workspace packages',
+  scope: 'Scope inferred from the workspace packages changed, e.g. "api" or "api,web"',
+  packages: 'Workspace packages changed, with their file counts',
+  types: 'Accepted commit types, from the commit rules',
+  maxHeaderLength: 'Maximum length of the first line, from the commit rules',
+  maxBodyLineLength: 'Column the body is wrapped at, from the commit rules',
+  breaking: 'Exports the diff removes or changes the signature of, e.g. "removed login (src/auth.js)"',
+  rules: 'Other commit rules (scopes, case, full stop), one per line',
+  hint: 'Extra instruction given when regenerating from the review screen'
+};
+
+/**
+ * Directory holding the repository's prompt templates
+ * @param {string} cwd Project directory
+ * @returns {string} Absolute path, from PUSHSCRIPT_PROMPT_DIR or .pushscript/prompts
+ */
+export function getPromptDir(cwd = process.cwd()) {
+  return path.resolve(cwd, process.env.PUSHSCRIPT_PROMPT_DIR || DEFAULT_PROMPT_DIR);
+}
+
+/**
+ * Load a template, falling back to the built-in one
+ * @param {string} name Template name, 'commit' or 'system'
+ * @returns {Object} { text, path }, path is null for the built-in template
+ */
+export function loadTemplate(name) {
+  const file = path.join(getPromptDir(), `${name}.md`);
+  if (fs.existsSync(file)) {
+    // Editors add a trailing newline that should not end up in the prompt
+    return { text: fs.readFileSync(file, 'utf8').replace(/\n$/, ''), path: file };
+  }
+  return { text: name === 'system' ? DEFAULT_SYSTEM_TEMPLATE : DEFAULT_COMMIT_TEMPLATE, path: null };
+}
+
+/**
+ * Version of the prompt in use, for the message cache
+ * Changes whenever either template or the commit rules change
+ * @returns {string} Short hash of the commit and system templates and the rules
+ */
+export function getPromptVersion() {
+  return crypto
+    .createHash('sha256')
+    .update(`${loadTemplate('commit').text}\0${loadTemplate('system').text}\0${JSON.stringify(getCommitRules().rules)}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Fill in a template
+ * @param {string} template Template text
+ * @param {Object} variables Variable values (strings)
+ * @param {string} source Template location, used in error messages
+ * @returns {string} Rendered text
+ * @throws {Error} When the template uses a variable that does not exist
+ */
+export function renderTemplate(template, variables, source = 'built-in template') {
+  const unknown = new Set();
+  const lookup = (name) => {
+    if (!(name in variables)) {
+      unknown.add(name);
+      return '';
+    }
+    return variables[name];
+  };
+
+  const rendered = template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, body) => (lookup(name) ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => lookup(name));
+
+  if (unknown.size > 0) {
+    const names = [...unknown].map(name => `{{${name}}}`).join(', ');
+    throw new Error(`Unknown template variable ${names} in ${source}. Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+  }
+  return rendered;
+}
+
+/**
+ * Run a read-only git command
+ * @param {string} command Git command
+ * @returns {string} Trimmed output, empty on failure (e.g. no commits yet)
+ */
+function readGit(command) {
+  try {
+    return execSync(command, { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Describe API changes for the prompt
+ * @param {Object} apiChanges Result of findApiChanges, missing for contexts built without one
+ * @returns {string} e.g. "removed login (src/auth.js); changed signature of logout (src/auth.js)", empty when there are none
+ */
+function describeApiChanges({ removed = [], changed = [] } = {}) {
+  const list = (entries) => entries.map(({ name, path: file }) => `${name} (${file})`).join(', ');
+  return [
+    removed.length > 0 ? `removed ${list(removed)}` : '',
+    changed.length > 0 ? `changed signature of ${list(changed)}` : ''
+  ].filter(part => part).join('; ');
+}
+
+/**
+ * Collect template variables for the staged changes
+ * @param {Array} changes Array of changes from getGitStatus()
+ * @param {Object} diffContext Result of prepareDiffContext
+ * @param {string} hint Optional extra instruction from the user
+ * @returns {Object} Variable values, see TEMPLATE_VARIABLES
+ */
+export function getTemplateVariables(changes, diffContext, hint = '') {
+  const categories = categorizeChanges(changes);
+  const scopes = [...new Set([...categories.packages, ...categories.components, ...categories.features])];
+  const inferred = inferScope(changes);
+
+  const changesDescription = [
+    `Modified files: ${categories.modified.join(', ')}`,
+    `Added files: ${categories.added.join(', ')}`,
+    `Deleted files: ${categories.deleted.join(', ')}`,
+    `Renamed files: ${categories.renamed.join(', ')}`,
+    `Submodules updated: ${categories.submodules.join(', ')}`,
+    `Packages affected: ${Array.from(categories.packages).join(', ')}`,
+    `Components affected: ${Array.from(categories.components).join(', ')}`,
+    `Features affected: ${Array.from(categories.features).join(', ')}`
+  ].filter(line => !line.endsWith(': ')).join('\n');
+
+  const branch = readGit('git symbolic-ref --short -q HEAD');
+  const { rules } = getCommitRules();
+
+  return {
+    changes: changesDescription,
+    diff: diffContext.content,
+    diffLabel: diffContext.kind === 'summary' ? 'Summary of the changes (the full diff was too large to include):' : 'Git Diff:',
+    skipped: diffContext.skipped.map(file => file.path).join(', '),
+    stats: readGit('git diff --staged --shortstat'),
+    branch,
+    ticket: getTicketFromBranch(branch) || '',
+    recentCommits: readGit(`git log -n ${RECENT_COMMIT_COUNT} --format=%s`),
+    scopes: scopes.join(', '),
+    scope: inferred.scope,
+    packages: inferred.packages.map(pkg => `${pkg.name} (${pkg.files} file${pkg.files === 1 ? '' : 's'})`).join(', '),
+    types: getAllowedTypes(rules).join(', '),
+    maxHeaderLength: String(getHeaderMaxLength(rules)),
+    maxBodyLineLength: String(getBodyWrapWidth(rules)),
+    breaking: describeApiChanges(diffContext.apiChanges),
+    rules: describeRules(rules).map(line => `- ${line}`).join('\n'),
+    hint: hint || ''
+  };
+}
+
+/**
+ * Render the commit prompt and system prompt from the templates
+ * @param {Array} changes Array of changes from getGitStatus()
+ * @param {Object} diffContext Result of prepareDiffContext
+ * @param {string} hint Optional extra instruction from the user
+ * @returns {Object} { prompt, systemPrompt }
+ * @throws {Error} When a template uses an unknown variable
+ */
+export function buildCommitPrompt(changes, diffContext, hint = '') {
+  const variables = getTemplateVariables(changes, diffContext, hint);
+  const commitTemplate = loadTemplate('commit');
+  const systemTemplate = loadTemplate('system');
+
+  return {
+    prompt: renderTemplate(commitTemplate.text, variables, commitTemplate.path || undefined),
+    systemPrompt: renderTemplate(systemTemplate.text, variables, systemTemplate.path || undefined)
+  };
+}
+
+/**
+ * `push prompt preview [--hint <text>] | variables | init`
+ * preview renders the prompts for the staged changes without sending anything; parts of a diff
+ * too large for the budget show a placeholder where the model's summary would go.
+ * variables lists the template variables, init copies the built-in templates into the repository
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runPromptCommand(args = []) {
+  // Same config, plugins and rules as a real commit, so the preview uses the same provider and budget
+  await initialize();
+  const [action = 'preview'] = args;
+
+  if (action === 'variables') {
+    const width = Math.max(...Object.keys(TEMPLATE_VARIABLES).map(name => name.length)) + 4;
+    Object.entries(TEMPLATE_VARIABLES).forEach(([name, description]) => {
+      console.log(`  ${`{{${name}}}`.padEnd(width)}  ${description}`);
+    });
+    return 0;
+  }
+
+  if (action === 'init') {
+    const dir = getPromptDir();
+    fs.mkdirSync(dir, { recursive: true });
+    [['commit', DEFAULT_COMMIT_TEMPLATE], ['system', DEFAULT_SYSTEM_TEMPLATE]].forEach(([name, text]) => {
+      const file = path.join(dir, `${name}.md`);
+      if (fs.existsSync(file)) {
+        logWarning(`${file} already exists, left unchanged`);
+      } else {
+        fs.writeFileSync(file, `${text}\n`);
+        logInfo(`Created ${file}`);
+      }
+    });
+    return 0;
+  }
+
+  if (action !== 'preview') {
+    throw new Error(`Unknown prompt action "${action}", use preview, variables or init`);
+  }
+
+  const hintIndex = args.indexOf('--hint');
+  const hint = hintIndex === -1 ? '' : args.slice(hintIndex + 1).join(' ');
+
+  const diff = execSync('git diff --staged', { maxBuffer: 64 * 1024 * 1024 }).toString();
+  if (!diff.trim()) {
+    logWarning('Nothing is staged; the preview shows an empty diff');
+  }
+
+  const budget = getTokenBudget(getProviderConfig());
+  const diffContext = await prepareDiffContext(diff, budget, async (summaryPrompt) =>
+    `[summary of ${estimateTokens(summaryPrompt)} tokens of diff, written by the model on a real run]`);
+  const { prompt, systemPrompt } = buildCommitPrompt(getStagedChanges(), diffContext, hint);
+
+  const commitSource = loadTemplate('commit').path || 'built-in';
+  const systemSource = loadTemplate('system').path || 'built-in';
+
+  logTitle(`System prompt (${systemSource})`);
+  console.log(systemPrompt);
+  logTitle(`Commit prompt (${commitSource})`);
+  console.log(prompt);
+  console.log('');
+  console.log(colorize(`Commit rules: ${getCommitRules().source}`, 'dim'));
+  console.log(colorize(`~${estimateTokens(systemPrompt + prompt)} tokens, diff budget ${budget}. Nothing was sent.`, 'dim'));
+  return 0;
+}
@@ -0,0 +1,131 @@
+/**
+ * Protected branches for PushScript
+ * Rules from PUSHSCRIPT_PROTECTED_BRANCHES decide whether a direct push to a branch is blocked,
+ * needs the branch name typed to confirm it or needs a passing check run first.
+ * Without a matching rule, the repository's default branch needs confirming
+ */
+
+import { spawnSync } from 'child_process';
+import { globToRegex } from './security.js';
+import { getRemoteDefaultBranch } from './remote.js';
+import { getStatus } from './git.js';
+import { ask } from './review.js';
+import { logInfo, logSuccess } from './formatting.js';
+
+// What a rule can ask for; "check+confirm" combines them
+const PROTECTION_ACTIONS = ['allow', 'confirm', 'check', 'block'];
+
+/**
+ * Read the branch rules from PUSHSCRIPT_PROTECTED_BRANCHES, e.g. "main=confirm,release/*=block"
+ * @returns {Array<Object>} Rules as { pattern, actions, regex } in the order written
+ * @throws {Error} When a rule names an unknown action
+ */
+export function getProtectionRules() {
+  return (process.env.PUSHSCRIPT_PROTECTED_BRANCHES || '')
+    .split(',')
+    .filter(entry => entry.includes('='))
+    .map(entry => {
+      const separatorIndex = entry.lastIndexOf('=');
+      const pattern = entry.slice(0, separatorIndex).trim();
+      const actions = entry.slice(separatorIndex + 1).split('+').map(action => action.trim().toLowerCase());
+      const unknown = actions.filter(action => !PROTECTION_ACTIONS.includes(action));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown action "${unknown.join('+')}" for protected branch "${pattern}", use ${PROTECTION_ACTIONS.join(', ')}`);
+      }
+      // Branch globs are matched against the whole name: "main" does not match "feature/main"
+      return { pattern, actions, regex: globToRegex(`/${pattern}`) };
+    });
+}
+
+/**
+ * Rule for a direct push to a branch; the first matching rule wins
+ * @param {string} branch Branch on the remote that is pushed to
+ * @param {string} remote Remote name, used to find its default branch
+ * @returns {Object|null} { pattern, actions } with a null pattern for the default branch, or null when the branch is not protected
+ */
+export function getBranchProtection(branch, remote) {
+  const rule = getProtectionRules().find(({ regex }) => regex.test(branch));
+  if (rule) {
+    return rule.actions.includes('allow') ? null : { pattern: rule.pattern, actions: rule.actions };
+  }
+  if (branch === getRemoteDefaultBranch(remote)) {
+    return { pattern: null, actions: ['confirm'] };
+  }
+  return null;
+}
+
+/**
+ * Name the rule that protects a branch, for messages
+ * @param {Object} protection Rule from getBranchProtection
+ * @returns {string} e.g. 'rule "release/*"' or 'the default branch'
+ */
+function describeRule(protection) {
+  return protection.pattern === null ? 'the default branch' : `rule "${protection.pattern}"`;
+}
+
+/**
+ * Refuse a push to a blocked branch, before anything is committed
+ * @param {string} branch Branch on the remote that is pushed to
+ * @param {Object|null} protection Rule from getBranchProtection
+ * @throws {Error} When the rule blocks direct pushes
+ */
+export function assertPushAllowed(branch, protection) {
+  if (protection && protection.actions.includes('block')) {
+    throw new Error(`Direct pushes to ${branch} are blocked (${describeRule(protection)}); push another branch and open a pull request`);
+  }
+}
+
+/**
+ * Run the check command from PUSHSCRIPT_CHECK_COMMAND on the committed tree
+ * @param {string} branch Protected branch, for the messages
+ * @throws {Error} When there are uncommitted changes the check would see, or the check fails
+ */
+function runBranchCheck(branch) {
+  const command = process.env.PUSHSCRIPT_CHECK_COMMAND || 'npm test';
+  const status = getStatus();
+  if (status.staged.length > 0 || status.unstaged.length > 0) {
+    throw new Error(`${branch} needs a clean check run; commit or stash the remaining changes so "${command}" runs on what is pushed`);
+  }
+
+  logInfo(`Running "${command}" before pushing to ${branch}...`);
+  const result = spawnSync(command, { shell: true, stdio: 'inherit' });
+  if (result.status !== 0) {
+    throw new Error(`"${command}" failed; not pushing to protected branch ${branch}`);
+  }
+  logSuccess('Checks passed');
+}
+
+/**
+ * Have the user type the name of a protected branch, before anything is committed
+ * Without a terminal (and in CI) a rule that needs confirming refuses the push
+ * @param {string} branch Branch on the remote that is pushed to
+ * @param {Object|null} protection Rule from getBranchProtection
+ * @param {Object} options { interactive }
+ * @returns {Promise<void>}
+ * @throws {Error} When the rule blocks direct pushes or the push is not confirmed
+ */
+export async function confirmProtectedPush(branch, protection, { interactive = false } = {}) {
+  assertPushAllowed(branch, protection);
+  if (!protection || !protection.actions.includes('confirm')) return;
+
+  if (!interactive) {
+    throw new Error(`${branch} is protected (${describeRule(protection)}) and pushing to it must be confirmed in a terminal`);
+  }
+  const answer = await ask(`${branch} is protected. Type the branch name to push to it: `);
+  if (answer !== branch) {
+    throw new Error('The branch name did not match; nothing was committed or pushed');
+  }
+}
+
+/**
+ * Run the checks a protection rule asks for on the commits about to be pushed
+ * They need the committed tree, so they run after the commit (and again after a rebase)
+ * @param {string} branch Branch on the remote that is pushed to
+ * @param {Object|null} protection Rule from getBranchProtection
+ * @throws {Error} When the checks fail
+ */
+export function runProtectionChecks(branch, protection) {
+  if (protection && protection.actions.includes('check')) {
+    runBranchCheck(branch);
+  }
+}
@@ -4,6 +4,8 @@
  */
 
 import fetch from 'node-fetch';
+import { getFixturePath, replayResponse } from './replay.js';
+import { DEFAULT_SYSTEM_PROMPT } from './message.js';
 
 // Provider configurations with default models and API endpoints
 export const LLM_PROVIDERS = {
@@ -15,33 +17,24 @@ export const LLM_PROVIDERS = {
       'Content-Type': 'application/json'
     }),
     responseHandler: (data) => data.choices[0].message.content.trim(),
-    requestBuilder: (prompt, model, maxTokens) => ({
+    usageHandler: (data) => readOpenAIUsage(data),
+    requestBuilder: (prompt, model, maxTokens, options = {}) => ({
       // Groq requires the model parameter, so use default if not specified
       model: model || 'llama-3.3-70b-versatile',
       messages: [
         {
           role: 'system',
-          content: `You are a senior software developer. Create a concise, conventional commit message that strictly follows the Conventional Commits format: 
-          
-          <type>(<scope>): <description>
-          
-          Valid types: feat, fix, docs, style, refactor, perf, test, chore
-          
-          Example formats:
-          - feat(ui): add new button component
-          - fix(auth): resolve login issue with expired tokens
-          - docs(readme): update installation instructions
-          
-          Use lowercase for type and scope. Keep the first line under 80 characters.`
+          content: options.systemPrompt ?? DEFAULT_SYSTEM_PROMPT
         },
         {
           role: 'user',
           content: prompt
         }
       ],
-      temperature: 0.3,
+      temperature: options.temperature ?? 0.3,
       max_tokens: maxTokens
-    })
+    }),
+    listModels: (apiKey) => listOpenAICompatibleModels('https://api.groq.com/openai/v1/models', apiKey)
   },
   openai: {
     apiEndpoint: 'https://api.openai.com/v1/chat/completions',
@@ -51,70 +44,119 @@ export const LLM_PROVIDERS = {
       'Content-Type': 'application/json'
     }),
     responseHandler: (data) => data.choices[0].message.content.trim(),
-    requestBuilder: (prompt, model, maxTokens) => ({
+    usageHandler: (data) => readOpenAIUsage(data),
+    requestBuilder: (prompt, model, maxTokens, options = {}) => ({
       // OpenAI may also require model parameter, so use default if not specified
       model: model || 'gpt-4o',
       messages: [
         {
           role: 'system',
-          content: `You are a senior software developer. Create a concise, conventional commit message that strictly follows the Conventional Commits format: 
-          
-          <type>(<scope>): <description>
-          
-          Valid types: feat, fix, docs, style, refactor, perf, test, chore
-          
-          Example formats:
-          - feat(ui): add new button component
-          - fix(auth): resolve login issue with expired tokens
-          - docs(readme): update installation instructions
-          
-          Use lowercase for type and scope. Keep the first line under 80 characters.`
+          content: options.systemPrompt ?? DEFAULT_SYSTEM_PROMPT
         },
         {
           role: 'user',
           content: prompt
         }
       ],
-      temperature: 0.3,
+      temperature: options.temperature ?? 0.3,
       max_tokens: maxTokens
-    })
+    }),
+    listModels: (apiKey) => listOpenAICompatibleModels('https://api.openai.com/v1/models', apiKey)
+  },
+  local: {
+    // Self-hosted server (Ollama, LM Studio, vLLM); see getLocalBaseUrl/getLocalApiStyle
+    apiEndpoint: 'http://localhost:11434/v1/chat/completions',
+    defaultModel: null,
+    requiresApiKey: false,
+    getEndpoint: () => {
+      const baseUrl = getLocalBaseUrl();
+      return getLocalApiStyle() === 'ollama' ? `${baseUrl}/api/chat` : `${baseUrl}/chat/completions`;
+    },
+    headerTemplate: (apiKey) => {
+      // Most local servers ignore auth, but gateways in front of them may not
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+      return headers;
+    },
+    responseHandler: (data) => {
+      // Ollama's native API returns a single message, OpenAI-compatible servers return choices
+      if (data.message && typeof data.message.content === 'string') {
+        return data.message.content.trim();
+      }
+      return data.choices[0].message.content.trim();
+    },
+    usageHandler: (data) => {
+      // Ollama reports evaluated token counts instead of an OpenAI usage object
+      if (data.prompt_eval_count !== undefined || data.eval_count !== undefined) {
+        return { promptTokens: data.prompt_eval_count ?? null, completionTokens: data.eval_count ?? null };
+      }
+      return readOpenAIUsage(data);
+    },
+    requestBuilder: (prompt, model, maxTokens, options = {}) => {
+      const messages = [
+        {
+          role: 'system',
+          content: options.systemPrompt ?? DEFAULT_SYSTEM_PROMPT
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
+
+      if (getLocalApiStyle() === 'ollama') {
+        return {
+          model,
+          messages,
+          stream: false,
+          options: {
+            temperature: options.temperature ?? 0.3,
+            num_predict: maxTokens
+          }
+        };
+      }
+
+      return {
+        model,
+        messages,
+        temperature: options.temperature ?? 0.3,
+        max_tokens: maxTokens
+      };
+    },
+    listModels: (apiKey) => listLocalModels(apiKey)
   },
   anthropic: {
     apiEndpoint: 'https://api.anthropic.com/v1/messages',
-    defaultModel: 'claude-3.7-sonnet',
+    defaultModel: 'claude-sonnet-4-5',
     headerTemplate: (apiKey) => ({ 
       'x-api-key': apiKey, 
       'anthropic-version': '2023-06-01',
       'Content-Type': 'application/json'
     }),
     responseHandler: (data) => data.content[0].text,
-    requestBuilder: (prompt, model, maxTokens) => ({
+    usageHandler: (data) => ({
+      promptTokens: data.usage?.input_tokens ?? null,
+      completionTokens: data.usage?.output_tokens ?? null
+    }),
+    requestBuilder: (prompt, model, maxTokens, options = {}) => ({
       // Anthropic also requires the model parameter
-      model: model || 'claude-3.7-sonnet',
+      model: model || 'claude-sonnet-4-5',
+      // The system prompt is a top-level field in the Messages API
+      system: options.systemPrompt ?? DEFAULT_SYSTEM_PROMPT,
       messages: [
-        { 
-          role: 'user', 
-          content: `Create a concise, conventional commit message that strictly follows the Conventional Commits format: 
-          
-          <type>(<scope>): <description>
-          
-          Valid types: feat, fix, docs, style, refactor, perf, test, chore
-          
-          Example formats:
-          - feat(ui): add new button component
-          - fix(auth): resolve login issue with expired tokens
-          - docs(readme): update installation instructions
-          
-          Use lowercase for type and scope. Keep the first line under 80 characters.
-          
-          For the following changes: ${prompt}` 
-        }
+        { role: 'user', content: prompt }
       ],
-      max_tokens: maxTokens
-    })
+      max_tokens: maxTokens,
+      ...(options.temperature !== undefined && { temperature: options.temperature })
+    }),
+    listModels: (apiKey) => listAnthropicModels(apiKey)
   },
   gemini: {
-    apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
+    // The model is part of the URL; buildApiRequest fills in the configured or default model
+    apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+    defaultModel: 'gemini-2.0-flash',
     headerTemplate: (apiKey) => {
       // If API key doesn't start with "AIza", it's not properly formatted for Google APIs
       const formattedKey = apiKey.startsWith('AIza') ? apiKey : `AIza${apiKey}`;
@@ -124,9 +166,6 @@ export const LLM_PROVIDERS = {
       };
     },
     responseHandler: (data) => {
-      // Debug the raw response to help diagnose issues
-      console.log('Raw Gemini API response:', JSON.stringify(data, null, 2));
-      
       // Validate response structure before attempting to extract content
       if (!data) {
         throw new Error('Empty response received from Gemini API');
@@ -152,7 +191,14 @@ export const LLM_PROVIDERS = {
       // If we've made it here, we have valid text content
       return candidate.content.parts[0].text;
     },
-    requestBuilder: (prompt, model, maxTokens) => ({
+    usageHandler: (data) => ({
+      promptTokens: data.usageMetadata?.promptTokenCount ?? null,
+      completionTokens: data.usageMetadata?.candidatesTokenCount ?? null
+    }),
+    requestBuilder: (prompt, model, maxTokens, options = {}) => ({
+      systemInstruction: {
+        parts: [{ text: options.systemPrompt ?? DEFAULT_SYSTEM_PROMPT }]
+      },
       contents: [
         {
           parts: [
@@ -164,78 +210,330 @@ export const LLM_PROVIDERS = {
       ],
       generationConfig: {
         maxOutputTokens: maxTokens,
-        temperature: 0
+        temperature: options.temperature ?? 0
       }
-    })
+    }),
+    listModels: async (apiKey) => {
+      const models = await listGeminiModels(apiKey);
+      // The API names models "models/<id>", the URL and configuration use the bare id
+      return models.map(model => ({ name: model.name.replace(/^models\//, '') }));
+    }
+  },
+  replay: {
+    // Answers from responses saved with PUSHSCRIPT_RECORD=1; never touches the network
+    defaultModel: 'replay',
+    requiresApiKey: false,
+    getEndpoint: () => `file://${getFixturePath()}`,
+    headerTemplate: () => ({}),
+    requestBuilder: (prompt) => ({ prompt }),
+    responseHandler: (data) => data.text,
+    execute: (prompt) => replayResponse(prompt),
+    listModels: async () => [{ name: 'replay' }]
   }
 };
 
+/**
+ * Token usage from an OpenAI-compatible response
+ * @param {Object} data Response body
+ * @returns {Object} { promptTokens, completionTokens }, null where the server did not report them
+ */
+function readOpenAIUsage(data) {
+  return {
+    promptTokens: data.usage?.prompt_tokens ?? null,
+    completionTokens: data.usage?.completion_tokens ?? null
+  };
+}
+
+// Model names providers have retired or that never existed, with the replacement to suggest
+export const RETIRED_MODELS = {
+  groq: {
+    'mixtral-8x7b-32768': 'llama-3.3-70b-versatile',
+    'mixtral-8x7b-chat': 'llama-3.3-70b-versatile',
+    'llama2-70b-4096': 'llama-3.3-70b-versatile',
+    'llama2-70b-chat': 'llama-3.3-70b-versatile',
+    'llama3-70b-8192': 'llama-3.3-70b-versatile',
+    'llama3-8b-8192': 'llama-3.1-8b-instant',
+    'gemma-7b-it': 'llama-3.1-8b-instant'
+  },
+  openai: {
+    'gpt-4-turbo-preview': 'gpt-4o',
+    'gpt-4-32k': 'gpt-4o',
+    'gpt-4-vision-preview': 'gpt-4o',
+    'gpt-3.5-turbo-0613': 'gpt-4o-mini',
+    'gpt-3.5-turbo-16k': 'gpt-4o-mini'
+  },
+  anthropic: {
+    'claude-3.7-sonnet': 'claude-sonnet-4-5',
+    'claude-3-7-sonnet-latest': 'claude-sonnet-4-5',
+    'claude-3-5-sonnet-20240620': 'claude-sonnet-4-5',
+    'claude-3-5-sonnet-latest': 'claude-sonnet-4-5',
+    'claude-3-sonnet-20240229': 'claude-sonnet-4-5',
+    'claude-3-opus': 'claude-opus-4-1',
+    'claude-3-opus-20240229': 'claude-opus-4-1',
+    'claude-2.1': 'claude-sonnet-4-5',
+    'claude-instant-1.2': 'claude-3-5-haiku-latest'
+  },
+  gemini: {
+    'gemini-pro': 'gemini-2.0-flash',
+    'gemini-1.0-pro': 'gemini-2.0-flash',
+    'gemini-1.5-pro': 'gemini-2.5-pro',
+    'gemini-1.5-flash': 'gemini-2.0-flash',
+    'gemini-2.0-pro': 'gemini-2.5-pro',
+    'gemini-2.0-pro-exp': 'gemini-2.5-pro'
+  }
+};
+
+// Providers that ship with PushScript; plugins may not replace these
+const BUILT_IN_PROVIDERS = Object.keys(LLM_PROVIDERS);
+
+// Functions a provider must define, and optional ones that must be functions when present
+const REQUIRED_PROVIDER_FUNCTIONS = ['headerTemplate', 'requestBuilder', 'responseHandler'];
+const OPTIONAL_PROVIDER_FUNCTIONS = ['getEndpoint', 'listModels', 'execute', 'usageHandler'];
+
+/**
+ * Prefix for a provider's environment variables, e.g. "azure-openai" -> "AZURE_OPENAI"
+ * @param {string} name - Provider name
+ * @returns {string} Prefix used for <PREFIX>_API_KEY and <PREFIX>_PUSHSCRIPT_MODEL
+ */
+export function getProviderEnvPrefix(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Check a provider definition against the provider interface
+ * @param {string} name - Provider name
+ * @param {Object} provider - Provider definition
+ * @returns {Array<string>} Problems found, empty if the provider is valid
+ */
+export function validateProvider(name, provider) {
+  const errors = [];
+
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+    errors.push(`name "${name}" must start with a lowercase letter and contain only lowercase letters, digits and hyphens`);
+  }
+  if (!provider || typeof provider !== 'object') {
+    return [...errors, 'provider must be an object'];
+  }
+
+  REQUIRED_PROVIDER_FUNCTIONS.forEach(field => {
+    if (typeof provider[field] !== 'function') {
+      errors.push(`${field} must be a function (got ${provider[field] === undefined ? 'nothing' : typeof provider[field]})`);
+    }
+  });
+  OPTIONAL_PROVIDER_FUNCTIONS.forEach(field => {
+    if (provider[field] !== undefined && typeof provider[field] !== 'function') {
+      errors.push(`${field} must be a function when provided (got ${typeof provider[field]})`);
+    }
+  });
+
+  if (typeof provider.getEndpoint !== 'function' && typeof provider.apiEndpoint !== 'string') {
+    errors.push('either apiEndpoint (string) or getEndpoint (function) is required');
+  }
+  if (provider.defaultModel !== undefined && provider.defaultModel !== null && typeof provider.defaultModel !== 'string') {
+    errors.push('defaultModel must be a string or null');
+  }
+  if (provider.requiresApiKey !== undefined && typeof provider.requiresApiKey !== 'boolean') {
+    errors.push('requiresApiKey must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Register an additional provider, e.g. an internal gateway loaded from a plugin module
+ * @param {string} name - Provider name used in PUSHSCRIPT_LLM_PROVIDER and PUSHSCRIPT_LLM_FALLBACK
+ * @param {Object} provider - Provider definition with headerTemplate, requestBuilder,
+ * responseHandler, apiEndpoint or getEndpoint, and optionally listModels, defaultModel, requiresApiKey,
+ * usageHandler(data) returning { promptTokens, completionTokens } for the usage ledger,
+ * and execute(prompt, model, maxTokens, options) to answer without an HTTP request
+ * @throws {Error} When the definition is invalid or the name belongs to a built-in provider
+ */
+export function registerProvider(name, provider) {
+  const errors = validateProvider(name, provider);
+  if (BUILT_IN_PROVIDERS.includes(name)) {
+    errors.unshift(`"${name}" is a built-in provider and cannot be replaced, choose another name`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid provider "${name}":\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  LLM_PROVIDERS[name] = {
+    defaultModel: null,
+    ...provider
+  };
+}
+
 /**
  * Lists available models for the Gemini API
  * This helper function can be used to troubleshoot model availability issues
  * @param {string} apiKey - The Gemini API key
  * @returns {Promise<Array>} List of available models
+ * @throws {Error} When the models cannot be listed
  */
 export async function listGeminiModels(apiKey) {
-  try {
-    // Ensure API key has proper format
-    const formattedKey = apiKey.startsWith('AIza') ? apiKey : `AIza${apiKey}`;
-    
-    // Call the ListModels endpoint
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models',
-      {
-        method: 'GET',
-        headers: {
-          'x-goog-api-key': formattedKey
-        }
+  // Ensure API key has proper format
+  const formattedKey = apiKey.startsWith('AIza') ? apiKey : `AIza${apiKey}`;
+  
+  // Call the ListModels endpoint
+  const response = await fetch(
+    'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000',
+    {
+      method: 'GET',
+      headers: {
+        'x-goog-api-key': formattedKey
       }
-    );
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to list models: ${errorText}`);
     }
-    
-    const data = await response.json();
-    
-    // Filter for text generation models and sort by name
-    const validModels = data.models
-      .filter(model => 
-        model.supportedGenerationMethods && 
-        model.supportedGenerationMethods.includes('generateContent')
-      )
-      .sort((a, b) => a.name.localeCompare(b.name));
-    
-    return validModels;
-  } catch (error) {
-    console.error('Error listing Gemini models:', error.message);
-    return [];
+  );
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to list models: ${errorText}`);
+  }
+  
+  const data = await response.json();
+  
+  // Filter for text generation models and sort by name
+  return (data.models || [])
+    .filter(model => 
+      model.supportedGenerationMethods && 
+      model.supportedGenerationMethods.includes('generateContent')
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Lists models from an OpenAI-compatible /models endpoint (OpenAI, Groq, most gateways)
+ * @param {string} url - Full URL of the models endpoint
+ * @param {string} apiKey - Bearer token, optional for servers without auth
+ * @returns {Promise<Array>} List of models as { name } objects, sorted by name
+ * @throws {Error} When the models cannot be listed
+ */
+export async function listOpenAICompatibleModels(url, apiKey) {
+  const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+  const response = await fetch(url, { method: 'GET', headers });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to list models: ${errorText || response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.data || [])
+    .map(model => ({ name: model.id }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Lists the models available to an Anthropic API key
+ * @param {string} apiKey - The Anthropic API key
+ * @returns {Promise<Array>} List of models as { name } objects, sorted by name
+ * @throws {Error} When the models cannot be listed
+ */
+export async function listAnthropicModels(apiKey) {
+  const response = await fetch('https://api.anthropic.com/v1/models?limit=1000', {
+    method: 'GET',
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to list models: ${errorText || response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.data || [])
+    .map(model => ({ name: model.id }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Base URL of the local OpenAI-compatible or Ollama server, without trailing slash
+ * @returns {string} Base URL taken from PUSHSCRIPT_LOCAL_BASE_URL or a localhost default
+ */
+export function getLocalBaseUrl() {
+  const defaultUrl = getLocalApiStyle() === 'ollama' ? 'http://localhost:11434' : 'http://localhost:11434/v1';
+  return (process.env.PUSHSCRIPT_LOCAL_BASE_URL || defaultUrl).replace(/\/+$/, '');
+}
+
+/**
+ * API flavour spoken by the local server
+ * @returns {string} 'ollama' for Ollama's native API, otherwise 'openai'
+ */
+export function getLocalApiStyle() {
+  const style = (process.env.PUSHSCRIPT_LOCAL_API || 'openai').toLowerCase();
+  return style === 'ollama' ? 'ollama' : 'openai';
+}
+
+/**
+ * Lists the models served by the local server
+ * Uses /api/tags for Ollama's native API and /models for OpenAI-compatible servers
+ * @param {string} apiKey - Optional API key for servers behind an authenticating gateway
+ * @returns {Promise<Array>} List of models as { name } objects, sorted by name
+ * @throws {Error} When the server cannot be reached or refuses the request
+ */
+export async function listLocalModels(apiKey) {
+  const baseUrl = getLocalBaseUrl();
+
+  if (getLocalApiStyle() !== 'ollama') {
+    return listOpenAICompatibleModels(`${baseUrl}/models`, apiKey);
+  }
+
+  const url = `${baseUrl}/api/tags`;
+  const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+  const response = await fetch(url, { method: 'GET', headers });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to list models from ${url}: ${errorText || response.status}`);
   }
+
+  const data = await response.json();
+  return (data.models || [])
+    .map(model => ({ name: model.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks whether a provider has everything it needs to make a request
+ * Local providers can run without an API key, cloud providers cannot
+ * @param {Object} providerDetails - The provider configuration from getProviderConfig
+ * @returns {boolean} True if the provider can be called
+ */
+export function hasRequiredCredentials(providerDetails) {
+  return Boolean(providerDetails.apiKey) || providerDetails.config.requiresApiKey === false;
 }
 
 /**
  * Get the provider configuration using environment variables
+ * @param {string} providerName - Provider to resolve, defaults to PUSHSCRIPT_LLM_PROVIDER
+ * @param {Object} options - Resolution options
+ * @param {string} options.model - Explicit model, overrides the environment
+ * @param {boolean} options.fallback - Resolving a fallback entry; generic key and model are not applied
  * @returns {Object} Provider configuration and related settings
+ * @throws {Error} When the provider is neither built in nor registered by a plugin
  */
-export function getProviderConfig() {
-  // Get provider from environment, fallback to 'groq'
-  const providerName = process.env.PUSHSCRIPT_LLM_PROVIDER || 'groq';
+export function getProviderConfig(providerName = process.env.PUSHSCRIPT_LLM_PROVIDER || 'groq', options = {}) {
+  const { fallback = false } = options;
   
-  // Check if provider exists
+  // Plugins are registered in LLM_PROVIDERS too, so they count as available
   if (!LLM_PROVIDERS[providerName]) {
-    console.warn(`\x1b[33mWarning: Invalid PushScript LLM provider "${providerName}". Using default (groq).\x1b[0m`);
+    throw new Error(`Unknown provider "${providerName}", available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
   }
+
+  const providerConfig = LLM_PROVIDERS[providerName];
   
-  // Get provider config or fallback to groq
-  const providerConfig = LLM_PROVIDERS[providerName] || LLM_PROVIDERS.groq;
-  
+  const envPrefix = getProviderEnvPrefix(providerName);
+
   // Get API key, trying different environment variables for backward compatibility
   // First try the provider-specific variable
-  let apiKey = process.env[`${providerName.toUpperCase()}_API_KEY`];
+  let apiKey = process.env[`${envPrefix}_API_KEY`];
   
-  // If not found, try the generic variable, but only if it doesn't look like a provider name
-  if (!apiKey && process.env.PUSHSCRIPT_LLM_API_KEY) {
+  // If not found, try the generic variable, but only if it doesn't look like a provider name.
+  // The generic key belongs to the primary provider, so fallback entries never use it.
+  if (!apiKey && !fallback && process.env.PUSHSCRIPT_LLM_API_KEY) {
     const genericKey = process.env.PUSHSCRIPT_LLM_API_KEY;
     // Don't use the value if it's just the name of a provider (common misconfiguration)
     const isProviderName = Object.keys(LLM_PROVIDERS).includes(genericKey.toLowerCase());
@@ -243,13 +541,14 @@ export function getProviderConfig() {
       apiKey = genericKey;
     } else {
       console.warn(`\x1b[33mWarning: PUSHSCRIPT_LLM_API_KEY seems to contain a provider name (${genericKey}) rather than an API key.\x1b[0m`);
-      console.warn(`\x1b[33mPlease check your configuration. Using ${providerName.toUpperCase()}_API_KEY instead.\x1b[0m`);
+      console.warn(`\x1b[33mPlease check your configuration. Using ${envPrefix}_API_KEY instead.\x1b[0m`);
     }
   }
   
   // Look for provider-specific model environment variables first, then fall back to generic
-  const model = process.env[`${providerName.toUpperCase()}_PUSHSCRIPT_MODEL`] || 
-               process.env.PUSHSCRIPT_LLM_MODEL ||
+  const model = options.model ||
+               process.env[`${envPrefix}_PUSHSCRIPT_MODEL`] || 
+               (fallback ? null : process.env.PUSHSCRIPT_LLM_MODEL) ||
                null;
   
   return {
@@ -260,18 +559,70 @@ export function getProviderConfig() {
   };
 }
 
+/**
+ * Get the ordered list of providers to try for a request
+ * The primary provider comes first, followed by PUSHSCRIPT_LLM_FALLBACK entries
+ * written as a comma-separated list of `provider` or `provider:model`,
+ * e.g. "groq,openai:gpt-4o-mini,local"
+ * @returns {Array<Object>} Provider configurations in the order they should be tried
+ */
+export function getProviderChain() {
+  const chain = [getProviderConfig()];
+  
+  const fallbackSpec = process.env.PUSHSCRIPT_LLM_FALLBACK || '';
+  fallbackSpec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .forEach(entry => {
+      // Split on the first colon only, model names may contain colons (e.g. llama3:8b)
+      const separatorIndex = entry.indexOf(':');
+      const name = (separatorIndex === -1 ? entry : entry.slice(0, separatorIndex)).toLowerCase();
+      const model = separatorIndex === -1 ? null : entry.slice(separatorIndex + 1);
+      
+      if (!LLM_PROVIDERS[name]) {
+        console.warn(`\x1b[33mWarning: Ignoring unknown provider "${name}" in PUSHSCRIPT_LLM_FALLBACK.\x1b[0m`);
+        return;
+      }
+      
+      const details = getProviderConfig(name, { model, fallback: true });
+      
+      // Skip entries that duplicate one already in the chain
+      const isDuplicate = chain.some(existing => existing.name === details.name && existing.model === details.model);
+      if (!isDuplicate) {
+        chain.push(details);
+      }
+    });
+  
+  return chain;
+}
+
 /**
  * Builds an API request for a given provider
  * @param {Object} providerDetails - The provider configuration from getProviderConfig
  * @param {String} prompt - The input prompt for the LLM
  * @param {Number} maxTokens - Maximum tokens for the response
- * @returns {Object} Request configuration for fetch API
+ * @param {Object} options - Generation options passed to the provider's requestBuilder (e.g. temperature)
+ * @returns {Object} Request configuration for fetch API, with the endpoint and resolved model
  */
-export async function buildApiRequest(providerDetails, prompt, maxTokens = 500) {
-  const { config, apiKey, model } = providerDetails;
+export async function buildApiRequest(providerDetails, prompt, maxTokens = 500, options = {}) {
+  const { name, config, apiKey } = providerDetails;
+  let { model } = providerDetails;
+  
+  // Providers without a fixed default (e.g. local servers) pick the first model they serve
+  if (!model && !config.defaultModel && config.listModels) {
+    const models = await config.listModels(apiKey);
+    if (models.length === 0) {
+      throw new Error(`No model configured for ${name} and none could be discovered. Set ${getProviderEnvPrefix(name)}_PUSHSCRIPT_MODEL or PUSHSCRIPT_LLM_MODEL.`);
+    }
+    model = models[0].name;
+  }
+  
+  // Otherwise fall back to the provider's default so builders and getEndpoint always see the model used
+  model = model || config.defaultModel || null;
   
   // Generate request body with or without model
-  const requestBody = config.requestBuilder(prompt, model, maxTokens);
+  const requestBody = config.requestBuilder(prompt, model, maxTokens, options);
   
   // Create the base request object
   let request = {
@@ -283,9 +634,9 @@ export async function buildApiRequest(providerDetails, prompt, maxTokens = 500)
   // For providers like Gemini that have model in the URL
   let endpoint = config.apiEndpoint;
   
-  // Special handling for providers that need model in endpoint
-  if (config.getEndpoint && apiKey) {
-    endpoint = config.getEndpoint(apiKey);
+  // Special handling for providers that compute their endpoint (model in URL, configurable base URL)
+  if (config.getEndpoint) {
+    endpoint = config.getEndpoint(apiKey, model);
   } else if (endpoint.includes('{model}') && model) {
     // Replace {model} placeholder in endpoint
     endpoint = endpoint.replace('{model}', model);
@@ -294,6 +645,6 @@ export async function buildApiRequest(providerDetails, prompt, maxTokens = 500)
     endpoint = endpoint.replace('{model}', config.defaultModel);
   }
   
-  // Return the request with the endpoint
-  return { request, endpoint };
+  // Return the request with the endpoint and the model actually used
+  return { request, endpoint, model };
 } 
\ No newline at end of file
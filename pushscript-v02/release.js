@@ -0,0 +1,316 @@
+/**
+ * Releases for PushScript (`push release`)
+ * Reads the conventional commits since the last tag, recommends the next semantic version,
+ * updates package.json and CHANGELOG.md, commits them and creates an annotated tag
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { initialize } from './index.js';
+import { callLLM } from './llm.js';
+import { getProviderChain, hasRequiredCredentials } from './providers.js';
+import { getStatus } from './git.js';
+import { parseCommitHeader } from './message.js';
+import { isInteractive } from './review.js';
+import { promptUser } from './security.js';
+import { colorize, logError, logInfo, logSuccess, logTitle, logWarning } from './formatting.js';
+
+// Changelog sections, in order; commits of other types are left out of the notes
+const CHANGELOG_SECTIONS = [
+  { type: 'feat', title: 'Features' },
+  { type: 'fix', title: 'Bug Fixes' },
+  { type: 'perf', title: 'Performance Improvements' },
+  { type: 'revert', title: 'Reverts' }
+];
+
+const BUMPS = ['major', 'minor', 'patch'];
+
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// The footer runs until the next trailer ("Refs: ...", "Closes #1") or the end of the message
+const BREAKING_FOOTER_PATTERN = /(?:^|\n)BREAKING[ -]CHANGE:\s*([\s\S]*?)(?=\n[\w-]+(?:: | #)|\s*$)/;
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {Array<string>} args Git arguments
+ * @returns {string} Output
+ */
+function git(args) {
+  return execFileSync('git', args, { stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }).toString().trim();
+}
+
+/**
+ * Prefix of release tags, from PUSHSCRIPT_TAG_PREFIX
+ * @returns {string} Prefix, "v" by default
+ */
+export function getTagPrefix() {
+  return process.env.PUSHSCRIPT_TAG_PREFIX ?? 'v';
+}
+
+/**
+ * Latest release tag reachable from HEAD
+ * @returns {string|null} Tag name, or null before the first release
+ */
+function getLastTag() {
+  try {
+    return git(['describe', '--tags', '--abbrev=0', '--match', `${getTagPrefix()}[0-9]*`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a conventional commit, including `!` markers and BREAKING CHANGE footers
+ * @param {string} hash Commit hash
+ * @param {string} message Full commit message
+ * @returns {Object} { hash, type, scope, description, breaking, notes } with type null for
+ * commits that are not conventional; notes holds the breaking change text
+ */
+export function parseConventionalCommit(hash, message) {
+  const header = parseCommitHeader(message);
+  const body = message.split('\n').slice(1).join('\n');
+  const footer = body.match(BREAKING_FOOTER_PATTERN);
+
+  if (!header) {
+    return { hash, type: null, scope: null, description: message.split('\n')[0], breaking: Boolean(footer), notes: footer ? footer[1].trim() : '' };
+  }
+  const breaking = header.breaking || Boolean(footer);
+  return {
+    hash,
+    type: header.type.toLowerCase(),
+    scope: header.scope,
+    description: header.description,
+    breaking,
+    notes: breaking ? (footer ? footer[1].trim() : header.description) : ''
+  };
+}
+
+/**
+ * Commits since a tag, newest first
+ * @param {string|null} tag Tag to start after, null for the whole history
+ * @returns {Array<Object>} Commits from parseConventionalCommit; merge commits are left out
+ */
+export function getCommitsSince(tag) {
+  return git(['log', '--no-merges', '--format=%H%x1f%B%x1e', ...(tag ? [`${tag}..HEAD`] : ['HEAD'])])
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(record => record)
+    .map(record => {
+      const [hash, message] = record.split('\x1f');
+      return parseConventionalCommit(hash, message.trim());
+    });
+}
+
+/**
+ * Kind of version bump the commits call for
+ * Breaking changes bump the major version, or the minor one while it is still 0.x
+ * @param {Array<Object>} commits Commits from getCommitsSince
+ * @param {string} version Current version
+ * @returns {string} 'major', 'minor' or 'patch'
+ */
+export function recommendBump(commits, version) {
+  if (commits.some(commit => commit.breaking)) {
+    return version.startsWith('0.') ? 'minor' : 'major';
+  }
+  return commits.some(commit => commit.type === 'feat') ? 'minor' : 'patch';
+}
+
+/**
+ * Apply a bump to a version, the way npm version does: a pre-release such as 2.0.0-rc.1
+ * is released as 2.0.0 when that is at least the bump asked for
+ * @param {string} version Current version, e.g. "1.4.2"
+ * @param {string} bump 'major', 'minor', 'patch' or an explicit version
+ * @returns {string} Next version
+ * @throws {Error} When the version or the bump is not valid semver
+ */
+export function bumpVersion(version, bump) {
+  if (SEMVER_PATTERN.test(bump)) return bump;
+  const match = version.match(SEMVER_PATTERN);
+  if (!match || !BUMPS.includes(bump)) {
+    throw new Error(`Cannot bump "${version}" by "${bump}"; use ${BUMPS.join(', ')} or a version such as 1.2.3`);
+  }
+  const [major, minor, patch] = match.slice(1, 4).map(Number);
+  const prerelease = Boolean(match[4]);
+  if (bump === 'major') return `${prerelease && minor === 0 && patch === 0 ? major : major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${prerelease && patch === 0 ? minor : minor + 1}.0`;
+  return `${major}.${minor}.${prerelease ? patch : patch + 1}`;
+}
+
+/**
+ * Build the changelog section for a release
+ * @param {string} version Version released
+ * @param {Array<Object>} commits Commits from getCommitsSince
+ * @param {string} date Release date, YYYY-MM-DD
+ * @returns {string} Markdown section starting with "## <version>"
+ */
+export function buildChangelogSection(version, commits, date) {
+  const item = (commit, text) => `* ${commit.scope ? `**${commit.scope}:** ` : ''}${text} (${commit.hash.slice(0, 7)})`;
+  const parts = [`## ${version} (${date})`];
+
+  const breaking = commits.filter(commit => commit.breaking);
+  if (breaking.length > 0) {
+    parts.push(`### BREAKING CHANGES\n\n${breaking.map(commit => item(commit, commit.notes)).join('\n')}`);
+  }
+  CHANGELOG_SECTIONS.forEach(({ type, title }) => {
+    const matching = commits.filter(commit => commit.type === type);
+    if (matching.length > 0) {
+      parts.push(`### ${title}\n\n${matching.map(commit => item(commit, commit.description)).join('\n')}`);
+    }
+  });
+  if (parts.length === 1) {
+    parts.push('Maintenance release, no user-facing changes.');
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Ask the provider to polish the release notes; the original section is kept if that fails
+ * @param {string} section Section from buildChangelogSection
+ * @returns {Promise<string>} Polished section
+ */
+async function polishNotes(section) {
+  if (!getProviderChain().some(hasRequiredCredentials)) {
+    logWarning('No API key found, keeping the release notes as generated');
+    return section;
+  }
+
+  const prompt = `Polish these release notes for the people who use the project. Rewrite each item as a clear sentence
+about what changed for them, and merge items that describe the same change. Keep the first line, every
+heading, the breaking changes and the commit hashes in parentheses. Do not invent changes.
+Reply with the markdown only.
+
+${section}`;
+
+  try {
+    logInfo('Polishing the release notes...');
+    const { text } = await callLLM(prompt, 1500, { purpose: 'release notes request' });
+    const polished = text.trim().replace(/^```(?:markdown|md)?\n([\s\S]*)\n```$/, '$1').trim();
+    if (polished.split('\n')[0] !== section.split('\n')[0]) {
+      throw new Error('the answer changed the version heading');
+    }
+    return polished;
+  } catch (error) {
+    logWarning(`Could not polish the release notes, keeping them as generated: ${error.message}`);
+    return section;
+  }
+}
+
+/**
+ * Prepend a release section to a changelog, below its title
+ * @param {string} changelog Current changelog, empty when there is none
+ * @param {string} section Section to add
+ * @returns {string} New changelog
+ */
+export function prependToChangelog(changelog, section) {
+  const title = changelog.match(/^# .*\n+/);
+  if (!title) {
+    return `# Changelog\n\n${section}\n${changelog ? `\n${changelog}` : ''}`;
+  }
+  return `${title[0]}${section}\n\n${changelog.slice(title[0].length)}`;
+}
+
+/**
+ * Set the version in package.json and package-lock.json, keeping the rest of the files as they are
+ * @param {string} root Repository root
+ * @param {string} version New version
+ * @returns {Array<string>} Files changed
+ */
+function writeVersion(root, version) {
+  const files = [];
+  const manifest = path.join(root, 'package.json');
+  const text = fs.readFileSync(manifest, 'utf8');
+  fs.writeFileSync(manifest, text.replace(/("version"\s*:\s*)"[^"]*"/, `$1"${version}"`));
+  files.push('package.json');
+
+  const lockFile = path.join(root, 'package-lock.json');
+  if (fs.existsSync(lockFile)) {
+    const lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    lock.version = version;
+    if (lock.packages && lock.packages['']) lock.packages[''].version = version;
+    fs.writeFileSync(lockFile, `${JSON.stringify(lock, null, 2)}\n`);
+    files.push('package-lock.json');
+  }
+  return files;
+}
+
+/**
+ * `push release [major|minor|patch|<version>] [--dry-run] [--polish] [--yes]`
+ * Without a bump the one the commits call for is used. In a terminal the release is confirmed;
+ * otherwise --yes is needed to write it
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runReleaseCommand(args = []) {
+  await initialize();
+  const dryRun = args.includes('--dry-run');
+  const requested = args.find(arg => !arg.startsWith('--'));
+
+  const status = getStatus();
+  if (!dryRun && (status.staged.length > 0 || status.unstaged.length > 0)) {
+    logError('Commit or stash your changes first; the release commit only holds the version and changelog');
+    return 1;
+  }
+
+  const root = git(['rev-parse', '--show-toplevel']);
+  const manifestFile = path.join(root, 'package.json');
+  const manifest = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null;
+  const lastTag = getLastTag();
+  const current = lastTag ? lastTag.slice(getTagPrefix().length) : (manifest && manifest.version) || '0.0.0';
+
+  const commits = getCommitsSince(lastTag);
+  if (commits.length === 0) {
+    logInfo(`No commits since ${lastTag}, nothing to release`);
+    return 0;
+  }
+
+  const recommended = recommendBump(commits, current);
+  const version = bumpVersion(current, requested || recommended);
+  const tag = `${getTagPrefix()}${version}`;
+  if (git(['tag', '--list', tag])) {
+    logError(`The tag ${tag} already exists`);
+    return 1;
+  }
+
+  const skipped = commits.filter(commit => !commit.type).length;
+  logInfo(`${commits.length} commit${commits.length === 1 ? '' : 's'} since ${lastTag || 'the first commit'}${skipped ? `, ${skipped} not conventional` : ''}`);
+  logInfo(`${current} -> ${colorize(version, 'green')} (${requested ? `${requested}, the commits suggest ${recommended}` : recommended})`);
+
+  let section = buildChangelogSection(version, commits, new Date().toISOString().slice(0, 10));
+  if (args.includes('--polish')) {
+    section = await polishNotes(section);
+  }
+
+  logTitle('Release notes');
+  console.log(`${section}\n`);
+  const changelogFile = path.join(root, 'CHANGELOG.md');
+  const files = [...(manifest && manifest.version !== undefined ? ['package.json'] : []), 'CHANGELOG.md'];
+
+  if (dryRun) {
+    logInfo(`Would update ${files.join(' and ')}, commit "chore(release): ${version}" and tag ${tag}`);
+    logInfo('Dry run, nothing was changed');
+    return 0;
+  }
+  if (!isInteractive() && !args.includes('--yes')) {
+    logWarning('Run again with --yes to create the release');
+    return 1;
+  }
+  if (isInteractive() && !await promptUser(`Release ${version}?`)) {
+    logWarning('Release cancelled by user');
+    return 0;
+  }
+
+  const changed = files.includes('package.json') ? writeVersion(root, version) : [];
+  const changelog = fs.existsSync(changelogFile) ? fs.readFileSync(changelogFile, 'utf8') : '';
+  fs.writeFileSync(changelogFile, prependToChangelog(changelog, section));
+  changed.push('CHANGELOG.md');
+
+  const paths = changed.map(file => `:(top,literal)${file}`);
+  execFileSync('git', ['add', '--', ...paths]);
+  execFileSync('git', ['commit', '--quiet', '-m', `chore(release): ${version}`, '--', ...paths], { stdio: 'inherit' });
+  execFileSync('git', ['tag', '--annotate', tag, '--cleanup=verbatim', '-F', '-'], { input: `${version}\n\n${section}\n` });
+
+  logSuccess(`Released ${version}: updated ${changed.join(', ')} and tagged ${tag}`);
+  logInfo('Push it with git push --follow-tags');
+  return 0;
+}
@@ -0,0 +1,169 @@
+/**
+ * Remotes and upstreams for PushScript
+ * Works out where a branch is pushed, fetches it to compare with the local branch, pushes
+ * (setting the upstream of new branches) and recovers from rejected pushes with a rebase
+ */
+
+import { execFileSync, spawnSync } from 'child_process';
+import { getDefaultBranch } from './config.js';
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {Array<string>} args Git arguments
+ * @returns {string} Output
+ */
+function git(args) {
+  return execFileSync('git', args, { stdio: ['pipe', 'pipe', 'pipe'] }).toString().trim();
+}
+
+/**
+ * Read a git config value
+ * @param {string} key Config key
+ * @returns {string|null} Value, or null when unset
+ */
+function getGitConfig(key) {
+  try {
+    return git(['config', '--get', key]) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Configured remotes
+ * @returns {Array<string>} Remote names
+ */
+function listRemotes() {
+  return git(['remote']).split('\n').filter(remote => remote);
+}
+
+/**
+ * Default branch of a remote, from its HEAD, or the configured default branch
+ * @param {string} remote Remote name
+ * @returns {string} Branch name
+ */
+export function getRemoteDefaultBranch(remote) {
+  try {
+    return git(['symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`]).slice(remote.length + 1);
+  } catch (error) {
+    return getDefaultBranch();
+  }
+}
+
+/**
+ * Where a branch is pushed
+ * PUSHSCRIPT_REMOTE (or --remote) wins; otherwise the branch's upstream, then git's
+ * branch.<name>.pushRemote and remote.pushDefault, then origin or the only remote
+ * @param {string} branch Local branch
+ * @returns {Object} { remote, target, upstream } where target is the branch on the remote and
+ * upstream is true when the branch already tracks it
+ * @throws {Error} When there is no remote to push to
+ */
+export function getPushTarget(branch) {
+  const remotes = listRemotes();
+  const upstreamRemote = getGitConfig(`branch.${branch}.remote`);
+  const upstreamBranch = (getGitConfig(`branch.${branch}.merge`) || '').replace(/^refs\/heads\//, '');
+  const configured = process.env.PUSHSCRIPT_REMOTE;
+
+  if (configured && !remotes.includes(configured)) {
+    throw new Error(`Unknown remote "${configured}"; configured remotes: ${remotes.join(', ') || 'none'}`);
+  }
+  if (upstreamRemote && upstreamBranch && remotes.includes(upstreamRemote) && (!configured || configured === upstreamRemote)) {
+    return { remote: upstreamRemote, target: upstreamBranch, upstream: true };
+  }
+
+  const remote = configured ||
+    [getGitConfig(`branch.${branch}.pushRemote`), getGitConfig('remote.pushDefault')].find(name => name && remotes.includes(name)) ||
+    (remotes.includes('origin') ? 'origin' : remotes[0]);
+  if (!remote) {
+    throw new Error('No git remote is configured; add one with git remote add <name> <url>');
+  }
+  return { remote, target: branch, upstream: false };
+}
+
+/**
+ * Fetch the remote branch and compare it with the local one
+ * @param {string} branch Local branch
+ * @param {Object} pushTarget Result of getPushTarget
+ * @returns {Object} { exists, ahead, behind, fetched } where exists is false for a branch that is not on the remote yet
+ */
+export function getTracking(branch, { remote, target }) {
+  let fetched = true;
+  const result = spawnSync('git', ['fetch', '--quiet', remote, target], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    if (/couldn't find remote ref/i.test(result.stderr || '')) {
+      return { exists: false, ahead: 0, behind: 0, fetched };
+    }
+    // Offline: compare with the last fetched state, if any
+    fetched = false;
+  }
+
+  try {
+    const [ahead, behind] = git(['rev-list', '--left-right', '--count', `${branch}...refs/remotes/${remote}/${target}`]).split(/\s+/).map(Number);
+    return { exists: true, ahead, behind, fetched };
+  } catch (error) {
+    // The default fetch refspec does not cover this branch: compare with what was just fetched
+    if (!fetched) return { exists: false, ahead: 0, behind: 0, fetched };
+    const [ahead, behind] = git(['rev-list', '--left-right', '--count', `${branch}...FETCH_HEAD`]).split(/\s+/).map(Number);
+    return { exists: true, ahead, behind, fetched };
+  }
+}
+
+/**
+ * Describe the tracking state for the user
+ * @param {Object} pushTarget Result of getPushTarget
+ * @param {Object} tracking Result of getTracking
+ * @returns {string} e.g. "origin/main: 2 ahead, 1 behind" or "origin/feature (new branch)"
+ */
+export function describeTracking({ remote, target }, tracking) {
+  if (!tracking.exists) {
+    return `${remote}/${target} (new branch)`;
+  }
+  const stale = tracking.fetched ? '' : ' (could not fetch, may be out of date)';
+  return `${remote}/${target}: ${tracking.ahead} ahead, ${tracking.behind} behind${stale}`;
+}
+
+/**
+ * Push a branch
+ * @param {string} branch Local branch
+ * @param {Object} pushTarget Result of getPushTarget
+ * @param {boolean} setUpstream Make the remote branch the upstream (push -u)
+ * @throws {Error} The git error, with stdout and stderr, when the push fails
+ */
+export function pushBranch(branch, { remote, target }, setUpstream = false) {
+  const refspec = branch === target ? branch : `${branch}:${target}`;
+  execFileSync('git', ['push', ...(setUpstream ? ['-u'] : []), remote, refspec], { stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+/**
+ * Whether a push failed because the remote has commits the branch does not
+ * @param {Error} error Error from pushBranch
+ * @returns {boolean} True for non-fast-forward rejections
+ */
+export function isRejectedPush(error) {
+  return /non-fast-forward|\[rejected\]|fetch first/.test(error.stderr ? error.stderr.toString() : '');
+}
+
+/**
+ * Rebase the current branch onto the remote branch; uncommitted changes are stashed meanwhile
+ * @param {Object} pushTarget Result of getPushTarget
+ * @throws {Error} When the rebase fails; a rebase stopped by conflicts is aborted first
+ */
+export function pullRebase({ remote, target }) {
+  const result = spawnSync('git', ['pull', '--rebase', '--autostash', remote, target], { stdio: 'inherit' });
+  if (result.status !== 0) {
+    const aborted = spawnSync('git', ['rebase', '--abort'], { stdio: 'ignore' }).status === 0;
+    throw new Error(aborted
+      ? `The rebase onto ${remote}/${target} hit conflicts and was aborted; run git pull --rebase ${remote} ${target} and resolve them`
+      : `git pull --rebase ${remote} ${target} failed`);
+  }
+}
+
+/**
+ * Files changed by the commits that pullRebase replayed on top of the remote branch
+ * @returns {Array<string>} Repository-relative paths
+ */
+export function getRebasedFiles() {
+  // pull leaves the remote branch it rebased onto in FETCH_HEAD
+  return git(['diff', '--name-only', 'FETCH_HEAD...HEAD']).split('\n').filter(file => file);
+}
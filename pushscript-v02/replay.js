@@ -0,0 +1,123 @@
+/**
+ * Record and replay of provider responses for PushScript
+ * With PUSHSCRIPT_RECORD=1 every successful provider response is saved to a fixture file,
+ * keyed by a hash of the prompt. The `replay` provider serves those responses back, so
+ * commit generation and dependency analysis run offline and deterministically (e.g. in CI)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { redactSecrets } from './security.js';
+
+const DEFAULT_FIXTURE_FILE = '.pushscript-fixtures.json';
+const FIXTURE_VERSION = 1;
+
+// Keys recorded during this process; the first recording of a key replaces older responses
+const recordedKeys = new Set();
+
+// How many times each key has been replayed, so repeated prompts cycle through the recordings
+const replayCounts = new Map();
+
+/**
+ * Path of the fixture file, from PUSHSCRIPT_FIXTURES or .pushscript-fixtures.json in the project
+ * @returns {string} Absolute path
+ */
+export function getFixturePath() {
+  return path.resolve(process.cwd(), process.env.PUSHSCRIPT_FIXTURES || DEFAULT_FIXTURE_FILE);
+}
+
+/**
+ * Whether provider responses should be recorded
+ * @returns {boolean} True when PUSHSCRIPT_RECORD is set to 1 or true
+ */
+export function isRecording() {
+  return ['1', 'true'].includes((process.env.PUSHSCRIPT_RECORD || '').toLowerCase());
+}
+
+/**
+ * Fixture key for a prompt
+ * @param {string} prompt Prompt sent to the provider
+ * @returns {string} SHA-256 hex digest
+ */
+export function getFixtureKey(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Read the fixture file
+ * @param {string} file Fixture file path
+ * @returns {Object} Fixtures as { version, entries }
+ * @throws {Error} When the file exists but is not a fixture file
+ */
+function readFixtures(file) {
+  if (!fs.existsSync(file)) {
+    return { version: FIXTURE_VERSION, entries: {} };
+  }
+
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Fixture file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!fixtures || fixtures.version !== FIXTURE_VERSION || typeof fixtures.entries !== 'object') {
+    throw new Error(`Fixture file ${file} is not a version ${FIXTURE_VERSION} PushScript fixture file`);
+  }
+  return fixtures;
+}
+
+/**
+ * Save a provider response for later replay
+ * Headers are never stored; secrets in the endpoint and body are redacted
+ * @param {string} prompt Prompt that produced the response
+ * @param {Object} request { provider, model, endpoint, body } as sent
+ * @param {Object} response Raw response body from the provider
+ * @param {string} text Text extracted by the provider's responseHandler
+ */
+export function recordResponse(prompt, request, response, text) {
+  const file = getFixturePath();
+  const fixtures = readFixtures(file);
+  const key = getFixtureKey(prompt);
+
+  const entry = recordedKeys.has(key) && fixtures.entries[key]
+    ? fixtures.entries[key]
+    : { promptPreview: prompt.slice(0, 120), responses: [] };
+  recordedKeys.add(key);
+
+  entry.responses.push({
+    provider: request.provider,
+    model: request.model,
+    endpoint: redactSecrets(request.endpoint),
+    requestBody: JSON.parse(redactSecrets(request.body)),
+    response,
+    text,
+    recordedAt: new Date().toISOString()
+  });
+  fixtures.entries[key] = entry;
+
+  // Sorted keys keep fixture diffs reviewable
+  const entries = Object.fromEntries(Object.keys(fixtures.entries).sort().map(name => [name, fixtures.entries[name]]));
+  fs.writeFileSync(file, `${JSON.stringify({ version: FIXTURE_VERSION, entries }, null, 2)}\n`);
+}
+
+/**
+ * Serve a recorded response for a prompt
+ * A prompt recorded several times (e.g. one per candidate) returns its responses in order, then repeats
+ * @param {string} prompt Prompt to answer
+ * @returns {string} Recorded response text
+ * @throws {Error} When nothing was recorded for the prompt
+ */
+export function replayResponse(prompt) {
+  const file = getFixturePath();
+  const key = getFixtureKey(prompt);
+  const entry = readFixtures(file).entries[key];
+
+  if (!entry || entry.responses.length === 0) {
+    throw new Error(`No recorded response for this prompt (key ${key.slice(0, 12)}) in ${file}. Record one by running with PUSHSCRIPT_RECORD=1 and a real provider.`);
+  }
+
+  const count = replayCounts.get(key) || 0;
+  replayCounts.set(key, count + 1);
+  return entry.responses[count % entry.responses.length].text;
+}
@@ -0,0 +1,179 @@
+/**
+ * Interactive commit message review for PushScript
+ * Lets the user pick between candidates, edit in $EDITOR, regenerate with a hint
+ * and switch the type or scope before the message is used
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { colorize, logInfo, logWarning, logError, logTitle } from './formatting.js';
+import { validateCommitMessage, setCommitType, setCommitScope, parseCommitHeader } from './message.js';
+import { getAllowedTypes, getCommitRules } from './rules.js';
+
+const DEFAULT_CANDIDATE_COUNT = 3;
+
+/**
+ * Whether PushScript can prompt the user
+ * @returns {boolean} True when attached to a terminal outside CI
+ */
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY) && !process.env.CI;
+}
+
+/**
+ * Number of candidate messages to generate for review, from PUSHSCRIPT_CANDIDATES
+ * @returns {number} Candidate count, at least 1
+ */
+export function getCandidateCount() {
+  const count = parseInt(process.env.PUSHSCRIPT_CANDIDATES, 10);
+  return Number.isNaN(count) || count < 1 ? DEFAULT_CANDIDATE_COUNT : Math.min(count, 9);
+}
+
+/**
+ * Ask the user a free-form question
+ * @param {string} question Question to display
+ * @returns {Promise<string>} The trimmed answer
+ */
+export function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    rl.question(colorize(question, 'yellow'), (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Open a message in the user's editor ($VISUAL, then $EDITOR)
+ * Lines starting with # are treated as comments and removed
+ * @param {string} message Message to edit
+ * @returns {string|null} Edited message, or null if the editor failed or the result is empty
+ */
+export function editInEditor(message) {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  const file = path.join(os.tmpdir(), `pushscript-${process.pid}-COMMIT_EDITMSG`);
+
+  fs.writeFileSync(file, `${message}\n\n# Edit the commit message above. Lines starting with # are ignored.\n`);
+
+  try {
+    // Run through the shell so editors configured with arguments (e.g. "code --wait") work
+    const result = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+    if (result.status !== 0) {
+      logError(`Editor "${editor}" exited with status ${result.status}`);
+      return null;
+    }
+
+    const edited = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => !line.startsWith('#'))
+      .join('\n')
+      .trim();
+
+    return edited || null;
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Print the candidates with the selected one marked
+ * @param {Array<string>} candidates Candidate messages
+ * @param {number} selected Index of the selected candidate
+ */
+function displayCandidates(candidates, selected) {
+  logTitle(candidates.length > 1 ? 'Candidate commit messages:' : 'Commit message:');
+
+  candidates.forEach((candidate, index) => {
+    const [header, ...body] = candidate.split('\n');
+    const marker = index === selected ? colorize('>', 'green') : ' ';
+    const number = candidates.length > 1 ? `${index + 1}) ` : '';
+    console.log(`${marker} ${number}${colorize(header, index === selected ? 'white' : 'dim')}`);
+    body.forEach(line => console.log(`     ${colorize(line, 'dim')}`));
+  });
+
+  console.log(colorize(
+    `\n  y accept   ${candidates.length > 1 ? `1-${candidates.length} pick   ` : ''}e edit   r [hint] regenerate   t [type] change type   s [scope] change scope   n cancel`,
+    'dim'
+  ));
+}
+
+/**
+ * Let the user review candidate commit messages
+ * The accepted message is checked with validateCommitMessage; invalid messages cannot be accepted
+ * @param {Array<string>} candidates Candidate messages, at least one
+ * @param {Object} options Review options
+ * @param {Function} options.regenerate Async function(hint) returning new candidates
+ * @returns {Promise<string|null>} The accepted message, or null if the user cancelled
+ */
+export async function reviewCommitMessage(candidates, { regenerate }) {
+  let options = [...candidates];
+  let selected = 0;
+
+  while (true) {
+    displayCandidates(options, selected);
+
+    const answer = await ask('\nChoose an action [Y]: ');
+    const [command, ...rest] = answer.split(' ');
+    const argument = rest.join(' ').trim();
+    const action = command.toLowerCase();
+
+    if (action === '' || action === 'y') {
+      const { valid, errors, warnings } = validateCommitMessage(options[selected]);
+      if (valid) {
+        warnings.forEach(warning => logWarning(warning));
+        return options[selected];
+      }
+      logError('This message cannot be used:');
+      errors.forEach(error => logWarning(`  • ${error}`));
+      logInfo('Edit it, change its type or scope, or pick another candidate.');
+    } else if (/^\d+$/.test(action)) {
+      const index = parseInt(action, 10) - 1;
+      if (index >= 0 && index < options.length) {
+        selected = index;
+      } else {
+        logWarning(`Choose a number between 1 and ${options.length}`);
+      }
+    } else if (action === 'e') {
+      const edited = editInEditor(options[selected]);
+      if (edited) {
+        options[selected] = edited;
+      } else {
+        logWarning('Message unchanged');
+      }
+    } else if (action === 'r') {
+      const hint = argument || await ask('Extra instructions for the model (optional): ');
+      logInfo('Regenerating commit messages...');
+      options = await regenerate(hint);
+      selected = 0;
+    } else if (action === 't') {
+      const types = getAllowedTypes(getCommitRules().rules);
+      const type = (argument || await ask(`New type (${types.join(', ')}): `)).toLowerCase();
+      if (!types.includes(type)) {
+        logWarning(`Type must be one of: ${types.join(', ')}`);
+      } else if (!parseCommitHeader(options[selected])) {
+        logWarning('The first line is not in conventional format; edit the message instead');
+      } else {
+        options[selected] = setCommitType(options[selected], type);
+      }
+    } else if (action === 's') {
+      const scope = argument || await ask('New scope (leave empty to remove): ');
+      if (!parseCommitHeader(options[selected])) {
+        logWarning('The first line is not in conventional format; edit the message instead');
+      } else {
+        options[selected] = setCommitScope(options[selected], scope.trim());
+      }
+    } else if (action === 'n' || action === 'q') {
+      return null;
+    } else {
+      logWarning(`Unknown action "${command}"`);
+    }
+  }
+}
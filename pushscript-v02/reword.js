@@ -0,0 +1,202 @@
+/**
+ * Reword unpushed commits for PushScript (`push reword [range]`)
+ * Commits whose messages fail validation get a generated conventional message, applied with a
+ * non-interactive rebase. Commits that are already on a remote are never rewritten
+ */
+
+import { execSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initialize, generateCommitCandidates } from './index.js';
+import { getStatus, parseNameStatus } from './git.js';
+import { validateCommitMessage } from './message.js';
+import { getCandidateCount, isInteractive, reviewCommitMessage } from './review.js';
+import { promptUser } from './security.js';
+import { colorize, logError, logInfo, logSuccess, logTitle, logWarning } from './formatting.js';
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {string} command Git command
+ * @returns {string} Output
+ */
+function git(command) {
+  return execSync(command, { stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }).toString().trim();
+}
+
+/**
+ * Resolve the range to reword; it always ends at HEAD because the rebase rewrites up to HEAD
+ * @param {string|undefined} range "<rev>..", "<rev>..HEAD", "<rev>" or nothing for the upstream
+ * @returns {string} Revision the range starts after
+ * @throws {Error} When the range does not end at HEAD or there is no upstream to default to
+ */
+function getRangeStart(range) {
+  if (!range) {
+    try {
+      return git('git rev-parse --abbrev-ref --symbolic-full-name @{upstream}');
+    } catch (error) {
+      throw new Error('The branch has no upstream; give a range such as HEAD~3..');
+    }
+  }
+
+  const [from, to = 'HEAD'] = range.split('..');
+  if (range.includes('..') && to && git(`git rev-parse ${to}`) !== git('git rev-parse HEAD')) {
+    throw new Error(`The range must end at HEAD, e.g. ${from}..`);
+  }
+  return from;
+}
+
+/**
+ * Full message of a commit
+ * @param {string} commit Commit hash
+ * @returns {string} Message
+ */
+function getMessage(commit) {
+  return git(`git log -1 --format=%B ${commit}`);
+}
+
+/**
+ * Write a new message for a commit from its full diff
+ * @param {string} commit Commit hash
+ * @param {number} count Number of candidates
+ * @param {string} hint Extra instruction from the user
+ * @returns {Promise<Array<string>>} Candidate messages
+ */
+function generateForCommit(commit, count, hint = '') {
+  const changes = parseNameStatus(execSync(`git show --format= --name-status -z ${commit}`).toString());
+  const diff = git(`git show --format= ${commit}`);
+  const intent = `The current message is "${getMessage(commit).split('\n')[0]}"; keep its meaning.`;
+  return generateCommitCandidates(changes, count, hint ? `${intent} ${hint}` : intent, { diff, refresh: Boolean(hint) });
+}
+
+/**
+ * Rewrite commit messages with a rebase that needs no editor
+ * The todo list is written up front: every commit is picked, and the ones with a new message are
+ * followed by an exec that amends it. A failed rebase is aborted, leaving the branch untouched
+ * @param {string} base Commit the rebase starts after, or null to rebase from the root
+ * @param {Array<string>} commits Every commit after base up to HEAD, oldest first
+ * @param {Map<string, string>} messages New messages by commit hash
+ * @throws {Error} When the rebase fails
+ */
+function applyMessages(base, commits, messages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pushscript-reword-'));
+  try {
+    const todo = commits.map(commit => {
+      const pick = `pick ${commit}`;
+      if (!messages.has(commit)) return pick;
+      const file = path.join(dir, `${commit}.txt`);
+      fs.writeFileSync(file, messages.get(commit));
+      return `${pick}\nexec git commit --amend --allow-empty --quiet -F "${file}"`;
+    });
+    const todoFile = path.join(dir, 'todo');
+    fs.writeFileSync(todoFile, `${todo.join('\n')}\n`);
+
+    // Git appends the path of its todo list; replace it with ours
+    const sequenceEditor = `"${process.execPath}" -e "require('fs').copyFileSync(process.argv[1], process.argv[2])" "${todoFile}"`;
+    const result = spawnSync('git', ['rebase', '--interactive', base || '--root'], {
+      env: { ...process.env, GIT_SEQUENCE_EDITOR: sequenceEditor },
+      encoding: 'utf8'
+    });
+    if (result.status !== 0) {
+      spawnSync('git', ['rebase', '--abort']);
+      throw new Error(`The rebase failed and was aborted, nothing was changed:\n${(result.stderr || '').trim()}`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * `push reword [range] [--all] [--yes] [--dry-run]`
+ * Proposes conventional messages for the unpushed commits in the range (default: the commits
+ * after the upstream) whose messages fail validation, or for every commit with --all.
+ * In a terminal each proposal is reviewed; otherwise --yes is needed to apply them
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runRewordCommand(args = []) {
+  await initialize();
+  const range = args.find(arg => !arg.startsWith('--'));
+  const interactive = isInteractive();
+
+  const status = getStatus();
+  if (status.staged.length > 0 || status.unstaged.length > 0) {
+    logError('Commit or stash your changes first; rewording rebases the branch');
+    return 1;
+  }
+
+  const start = getRangeStart(range);
+  const commits = git(`git rev-list --reverse ${start}..HEAD`).split('\n').filter(commit => commit);
+  if (commits.length === 0) {
+    logInfo(`No commits after ${start}`);
+    return 0;
+  }
+
+  // Anything reachable from a remote-tracking branch has been published
+  const unpushed = new Set(git(`git rev-list ${start}..HEAD --not --remotes`).split('\n').filter(commit => commit));
+  const onRemote = commits.filter(commit => !unpushed.has(commit));
+  if (onRemote.length > 0) {
+    logError(`${onRemote.length} commit${onRemote.length === 1 ? ' is' : 's are'} already on a remote and will not be rewritten:`);
+    onRemote.forEach(commit => console.log(`  ${commit.slice(0, 7)} ${getMessage(commit).split('\n')[0]}`));
+    logWarning('Narrow the range to commits that have not been pushed, e.g. @{upstream}..');
+    return 1;
+  }
+  if (git(`git rev-list --merges ${start}..HEAD`)) {
+    logError('The range contains merge commits, which rewording would flatten; narrow the range');
+    return 1;
+  }
+
+  const targets = args.includes('--all')
+    ? commits
+    : commits.filter(commit => !validateCommitMessage(getMessage(commit)).valid);
+  if (targets.length === 0) {
+    logSuccess(`All ${commits.length} commit message${commits.length === 1 ? ' is' : 's are'} valid`);
+    return 0;
+  }
+
+  logInfo(`${targets.length} of ${commits.length} commit${commits.length === 1 ? '' : 's'} to reword`);
+  const messages = new Map();
+  for (const commit of targets) {
+    const current = getMessage(commit);
+    logTitle(`${commit.slice(0, 7)} ${current.split('\n')[0]}`);
+    validateCommitMessage(current).errors.forEach(error => console.log(`  ${colorize(error, 'dim')}`));
+
+    if (interactive && !args.includes('--dry-run')) {
+      const count = getCandidateCount();
+      const message = await reviewCommitMessage(await generateForCommit(commit, count), {
+        regenerate: (hint) => generateForCommit(commit, count, hint)
+      });
+      if (message && message !== current) messages.set(commit, message);
+    } else {
+      const [message] = await generateForCommit(commit, 1);
+      console.log(`  ${colorize('->', 'green')} ${message.split('\n')[0]}`);
+      if (message !== current) messages.set(commit, message);
+    }
+  }
+
+  if (messages.size === 0) {
+    logInfo('No messages changed');
+    return 0;
+  }
+  if (args.includes('--dry-run')) {
+    logInfo('Dry run, nothing was changed');
+    return 0;
+  }
+  if (!interactive && !args.includes('--yes')) {
+    logWarning('Run again with --yes to apply these messages');
+    return 1;
+  }
+  if (interactive && !await promptUser(`Rewrite ${messages.size} commit message${messages.size === 1 ? '' : 's'}?`)) {
+    logWarning('Reword cancelled by user');
+    return 0;
+  }
+
+  // Only rebase from the oldest commit that changes; everything before it stays as it is
+  const first = commits.findIndex(commit => messages.has(commit));
+  const hasParent = spawnSync('git', ['rev-parse', '--verify', '-q', `${commits[first]}^`]).status === 0;
+  applyMessages(hasParent ? `${commits[first]}^` : null, commits.slice(first), messages);
+
+  logSuccess(`Reworded ${messages.size} commit${messages.size === 1 ? '' : 's'}`);
+  logInfo('The previous history is in ORIG_HEAD; `git reset --hard ORIG_HEAD` undoes the reword');
+  return 0;
+}
@@ -0,0 +1,405 @@
+/**
+ * Commit rules for PushScript
+ * Reads the repository's commitlint configuration (commitlint.config.js, .commitlintrc,
+ * package.json#commitlint) for the rules PushScript understands (type-enum, type-case, scope-enum,
+ * scope-case, scope-empty, subject-case, subject-full-stop, header-max-length, body-leading-blank,
+ * body-max-line-length, footer-leading-blank, footer-max-line-length; others are left to commitlint),
+ * and lets PUSHSCRIPT_COMMIT_TYPES, PUSHSCRIPT_COMMIT_SCOPES and PUSHSCRIPT_HEADER_MAX_LENGTH
+ * override them. The rules constrain the prompt and validate generated and edited messages
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { logWarning } from './formatting.js';
+
+// Conventional commit types accepted when the repository does not configure its own
+export const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore'];
+
+// Maximum length of the first line when the repository does not configure its own
+export const MAX_HEADER_LENGTH = 80;
+
+// Column generated bodies are wrapped at; a lower body-max-line-length wins
+export const BODY_WRAP_WIDTH = 72;
+
+// Rules used when the repository has no commitlint configuration, in commitlint's [level, applicable, value] form
+const DEFAULT_RULES = {
+  'type-enum': [2, 'always', COMMIT_TYPES],
+  'type-case': [2, 'always', 'lower-case'],
+  'scope-case': [2, 'always', 'lower-case'],
+  'header-max-length': [2, 'always', MAX_HEADER_LENGTH],
+  'body-leading-blank': [2, 'always'],
+  'body-max-line-length': [1, 'always', BODY_WRAP_WIDTH],
+  'footer-leading-blank': [1, 'always']
+};
+
+// The rules of @commitlint/config-conventional that PushScript checks, used when the package is not installed
+const CONVENTIONAL_RULES = {
+  'type-enum': [2, 'always', ['build', 'chore', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'revert', 'style', 'test']],
+  'type-case': [2, 'always', 'lower-case'],
+  'subject-case': [2, 'never', ['sentence-case', 'start-case', 'pascal-case', 'upper-case']],
+  'subject-full-stop': [2, 'never', '.'],
+  'header-max-length': [2, 'always', 100],
+  'body-leading-blank': [1, 'always'],
+  'body-max-line-length': [2, 'always', 100],
+  'footer-leading-blank': [1, 'always'],
+  'footer-max-line-length': [2, 'always', 100]
+};
+
+// commitlint config files, in the order commitlint searches them
+const COMMITLINT_FILES = [
+  'package.json',
+  '.commitlintrc',
+  '.commitlintrc.json',
+  '.commitlintrc.js',
+  '.commitlintrc.cjs',
+  '.commitlintrc.mjs',
+  'commitlint.config.js',
+  'commitlint.config.cjs',
+  'commitlint.config.mjs'
+];
+
+// Rules and where they came from, set by loadCommitRules
+let loadedRules = null;
+let rulesPromise = null;
+
+/**
+ * Split text into words for case conversion, e.g. "fooBar baz-qux" -> ["foo", "Bar", "baz", "qux"]
+ * @param {string} text Text to split
+ * @returns {Array<string>} Words
+ */
+function splitWords(text) {
+  return text.split(/[\s_-]+|(?<=[a-z0-9])(?=[A-Z])/).filter(word => word);
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Converters for commitlint's case names; text is in a case when converting it changes nothing
+const CASE_CONVERTERS = {
+  'lower-case': (text) => text.toLowerCase(),
+  'upper-case': (text) => text.toUpperCase(),
+  'camel-case': (text) => splitWords(text).map((word, index) => (index === 0 ? word.toLowerCase() : capitalize(word.toLowerCase()))).join(''),
+  'kebab-case': (text) => splitWords(text).map(word => word.toLowerCase()).join('-'),
+  'snake-case': (text) => splitWords(text).map(word => word.toLowerCase()).join('_'),
+  'pascal-case': (text) => splitWords(text).map(word => capitalize(word.toLowerCase())).join(''),
+  'start-case': (text) => splitWords(text).map(capitalize).join(' '),
+  'sentence-case': (text) => capitalize(text)
+};
+
+/**
+ * Check whether text is in a commitlint case
+ * Text without letters, or starting with a digit, is in every case
+ * @param {string} text Text to check
+ * @param {string} caseName Case name, e.g. 'lower-case'
+ * @returns {boolean} True if the text is in the case (unknown case names always match)
+ */
+export function isInCase(text, caseName) {
+  // commitlint also accepts "lowercase", "sentencecase", ...
+  const convert = CASE_CONVERTERS[caseName.toLowerCase().replace(/-?case$/, '-case')];
+  if (!convert || !/[a-z]/i.test(text) || /^\d/.test(text)) return true;
+  return convert(text) === text;
+}
+
+/**
+ * Resolve rules declared as functions, as commitlint allows
+ * @param {Object} rules Rules from a commitlint config
+ * @returns {Promise<Object>} Rules with plain [level, applicable, value] arrays
+ */
+async function resolveRuleValues(rules = {}) {
+  const resolved = {};
+  for (const [name, rule] of Object.entries(rules)) {
+    resolved[name] = typeof rule === 'function' ? await rule() : rule;
+  }
+  return resolved;
+}
+
+/**
+ * Read a commitlint config file
+ * @param {string} file Config path
+ * @returns {Promise<Object|null>} Config object, or null when package.json has no commitlint field
+ * @throws {Error} When the file cannot be read or parsed
+ */
+async function readCommitlintFile(file) {
+  if (/\.(c|m)?js$/.test(file)) {
+    const module = await import(pathToFileURL(file).href);
+    return module.default === undefined ? { ...module } : module.default;
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path.basename(file)} is not JSON; YAML commitlint configs are not supported, use .commitlintrc.json or commitlint.config.js`);
+  }
+  return path.basename(file) === 'package.json' ? parsed.commitlint || null : parsed;
+}
+
+/**
+ * Load the rules of the presets a commitlint config extends
+ * @param {string|Array<string>} presets Value of `extends`
+ * @param {string} cwd Project directory presets are resolved from
+ * @returns {Promise<Object>} Merged preset rules, later presets winning
+ */
+async function loadPresetRules(presets, cwd) {
+  let rules = {};
+  for (const preset of [].concat(presets || [])) {
+    try {
+      const resolved = createRequire(path.join(cwd, 'package.json')).resolve(preset);
+      const module = await import(pathToFileURL(resolved).href);
+      const config = module.default || module;
+      rules = { ...rules, ...(await loadPresetRules(config.extends, cwd)), ...(await resolveRuleValues(config.rules)) };
+    } catch (error) {
+      if (/config-conventional$/.test(preset)) {
+        // The preset every conventional-commits repository uses works without being installed
+        rules = { ...rules, ...CONVENTIONAL_RULES };
+      } else {
+        logWarning(`Could not load commitlint preset "${preset}", its rules are ignored: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+  return rules;
+}
+
+/**
+ * Load the repository's commitlint rules
+ * Safe to call more than once; the configuration is only read the first time.
+ * A config PushScript cannot read is reported and the built-in rules are used
+ * @param {string} cwd Project directory
+ * @returns {Promise<Object>} { rules, source } as returned by getCommitRules
+ */
+export function loadCommitRules(cwd = process.cwd()) {
+  if (!rulesPromise) {
+    rulesPromise = (async () => {
+      loadedRules = { rules: DEFAULT_RULES, source: 'built-in' };
+
+      for (const name of COMMITLINT_FILES) {
+        const file = path.join(cwd, name);
+        if (!fs.existsSync(file)) continue;
+
+        try {
+          const config = await readCommitlintFile(file);
+          if (!config) continue;
+          const rules = { ...(await loadPresetRules(config.extends, cwd)), ...(await resolveRuleValues(config.rules)) };
+          loadedRules = { rules, source: name === 'package.json' ? 'package.json#commitlint' : name };
+        } catch (error) {
+          logWarning(`Could not read commitlint config ${name}, using the built-in commit rules: ${error.message.split('\n')[0]}`);
+        }
+        break;
+      }
+
+      return getCommitRules();
+    })();
+  }
+  return rulesPromise;
+}
+
+/**
+ * Commit rules in effect, with PushScript's own settings applied over the commitlint rules
+ * @returns {Object} { rules, source }, rules keyed by commitlint rule name as [level, applicable, value]
+ */
+export function getCommitRules() {
+  const { rules, source } = loadedRules || { rules: DEFAULT_RULES, source: 'built-in' };
+  const overrides = {};
+
+  const types = (process.env.PUSHSCRIPT_COMMIT_TYPES || '').split(',').map(type => type.trim()).filter(type => type);
+  if (types.length > 0) overrides['type-enum'] = [2, 'always', types];
+
+  const scopes = (process.env.PUSHSCRIPT_COMMIT_SCOPES || '').split(',').map(scope => scope.trim()).filter(scope => scope);
+  if (scopes.length > 0) overrides['scope-enum'] = [2, 'always', scopes];
+
+  const maxLength = parseInt(process.env.PUSHSCRIPT_HEADER_MAX_LENGTH, 10);
+  if (maxLength > 0) overrides['header-max-length'] = [2, 'always', maxLength];
+
+  return {
+    rules: { ...rules, ...overrides },
+    source: Object.keys(overrides).length > 0 ? `${source} with PushScript settings` : source
+  };
+}
+
+/**
+ * Get an active rule
+ * @param {Object} rules Rules from getCommitRules
+ * @param {string} name Rule name
+ * @returns {Object|null} { level, applicable, value }, or null when the rule is missing or disabled
+ */
+function getRule(rules, name) {
+  const rule = rules[name];
+  if (!Array.isArray(rule) || !rule[0]) return null;
+  const [level, applicable = 'always', value] = rule;
+  return { level, applicable, value };
+}
+
+/**
+ * Types a message may use
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {Array<string>} Allowed types
+ */
+export function getAllowedTypes(rules) {
+  const rule = getRule(rules, 'type-enum');
+  if (!rule) return COMMIT_TYPES;
+  return rule.applicable === 'never' ? COMMIT_TYPES.filter(type => !rule.value.includes(type)) : rule.value;
+}
+
+/**
+ * Scopes a message may use
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {Array<string>|null} Allowed scopes, or null when any scope is allowed
+ */
+export function getAllowedScopes(rules) {
+  const rule = getRule(rules, 'scope-enum');
+  return rule && rule.applicable === 'always' && rule.value.length > 0 ? rule.value : null;
+}
+
+/**
+ * Maximum header length to ask the model for
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {number} Limit from header-max-length, or the built-in limit
+ */
+export function getHeaderMaxLength(rules) {
+  const rule = getRule(rules, 'header-max-length');
+  return rule ? rule.value : MAX_HEADER_LENGTH;
+}
+
+/**
+ * Column to wrap generated bodies at
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {number} BODY_WRAP_WIDTH, or body-max-line-length when that is lower
+ */
+export function getBodyWrapWidth(rules) {
+  const rule = getRule(rules, 'body-max-line-length');
+  return rule && rule.value > 0 ? Math.min(rule.value, BODY_WRAP_WIDTH) : BODY_WRAP_WIDTH;
+}
+
+/**
+ * Describe a case rule, e.g. "must be lower-case" or "must not be sentence-case or upper-case"
+ * @param {Object} rule Rule from getRule
+ * @returns {string} Description
+ */
+function describeCase(rule) {
+  const cases = [].concat(rule.value);
+  return `must ${rule.applicable === 'never' ? 'not ' : ''}be ${cases.join(' or ')}`;
+}
+
+/**
+ * Check a parsed header against the rules
+ * @param {Object} parsed Header parts from parseCommitHeader
+ * @param {string} header Header line
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {Object} { errors, warnings } for level 2 and level 1 rules
+ */
+export function checkCommitRules(parsed, header, rules) {
+  const result = { errors: [], warnings: [] };
+  const report = (rule, message) => (rule.level >= 2 ? result.errors : result.warnings).push(message);
+  // Scopes like "api,ui" or "ui/button" are checked segment by segment, as commitlint does
+  const scopes = parsed.scope ? parsed.scope.split(/[/\\,]/).filter(scope => scope) : [];
+
+  const checkCase = (name, text, label) => {
+    const rule = getRule(rules, name);
+    if (!rule || !text) return;
+    const matches = [].concat(rule.value).some(caseName => isInCase(text, caseName));
+    if (matches !== (rule.applicable !== 'never')) {
+      report(rule, `${label} "${text}" ${describeCase(rule)}`);
+    }
+  };
+
+  const typeEnum = getRule(rules, 'type-enum');
+  if (typeEnum && typeEnum.value.includes(parsed.type) !== (typeEnum.applicable !== 'never')) {
+    report(typeEnum, `Type "${parsed.type}" must ${typeEnum.applicable === 'never' ? 'not ' : ''}be one of: ${typeEnum.value.join(', ')}`);
+  }
+  checkCase('type-case', parsed.type, 'Type');
+
+  const scopeEnum = getRule(rules, 'scope-enum');
+  if (scopeEnum && scopes.length > 0 && scopeEnum.value.length > 0) {
+    const invalid = scopes.filter(scope => scopeEnum.value.includes(scope) !== (scopeEnum.applicable !== 'never'));
+    if (invalid.length > 0) {
+      report(scopeEnum, `Scope "${invalid.join(', ')}" must ${scopeEnum.applicable === 'never' ? 'not ' : ''}be one of: ${scopeEnum.value.join(', ')}`);
+    }
+  }
+  scopes.forEach(scope => checkCase('scope-case', scope, 'Scope'));
+
+  const scopeEmpty = getRule(rules, 'scope-empty');
+  if (scopeEmpty && scopeEmpty.applicable === 'never' && scopes.length === 0) {
+    report(scopeEmpty, 'A scope is required, e.g. "feat(api): ..."');
+  } else if (scopeEmpty && scopeEmpty.applicable === 'always' && scopes.length > 0) {
+    report(scopeEmpty, 'Scopes are not used in this repository');
+  }
+
+  checkCase('subject-case', parsed.description, 'Description');
+
+  const fullStop = getRule(rules, 'subject-full-stop');
+  if (fullStop && parsed.description.endsWith(fullStop.value || '.') !== (fullStop.applicable === 'always')) {
+    report(fullStop, `Description must ${fullStop.applicable === 'always' ? '' : 'not '}end with "${fullStop.value || '.'}"`);
+  }
+
+  const maxLength = getRule(rules, 'header-max-length');
+  if (maxLength && header.length > maxLength.value) {
+    report(maxLength, `First line is ${header.length} characters, the limit is ${maxLength.value}`);
+  }
+
+  return result;
+}
+
+/**
+ * Check the body and footer of a parsed message against the rules
+ * Lines without spaces (URLs, paths) may exceed the line length, as commitlint allows
+ * @param {Object} parts Message parts from parseCommitMessage
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {Object} { errors, warnings } for level 2 and level 1 rules
+ */
+export function checkBodyRules(parts, rules) {
+  const result = { errors: [], warnings: [] };
+  const report = (rule, message) => (rule.level >= 2 ? result.errors : result.warnings).push(message);
+
+  const checkBlank = (name, present, hasBlank, label) => {
+    const rule = getRule(rules, name);
+    if (rule && present && hasBlank !== (rule.applicable !== 'never')) {
+      report(rule, `${rule.applicable === 'never' ? 'Do not leave' : 'Leave'} a blank line before the ${label}`);
+    }
+  };
+  checkBlank('body-leading-blank', Boolean(parts.body), parts.bodyLeadingBlank, 'body');
+  checkBlank('footer-leading-blank', parts.footers.length > 0, parts.footerLeadingBlank, 'footer');
+
+  const checkLines = (name, text, label) => {
+    const rule = getRule(rules, name);
+    if (!rule || !text) return;
+    text.split('\n').forEach((line, index) => {
+      if (line.length > rule.value && /\s/.test(line.trim())) {
+        report(rule, `${label} line ${index + 1} is ${line.length} characters, the limit is ${rule.value}`);
+      }
+    });
+  };
+  checkLines('body-max-line-length', parts.body, 'Body');
+  checkLines('footer-max-line-length', parts.footer, 'Footer');
+
+  return result;
+}
+
+/**
+ * Describe the rules for the prompt; types and header length are left to their own template variables
+ * @param {Object} rules Rules from getCommitRules
+ * @returns {Array<string>} One instruction per rule
+ */
+export function describeRules(rules) {
+  const lines = [];
+
+  const scopes = getAllowedScopes(rules);
+  if (scopes) lines.push(`The scope must be one of: ${scopes.join(', ')}`);
+
+  const scopeEmpty = getRule(rules, 'scope-empty');
+  if (scopeEmpty && scopeEmpty.applicable === 'never') lines.push('Always include a scope');
+  if (scopeEmpty && scopeEmpty.applicable === 'always') lines.push('Do not include a scope');
+
+  [['type-case', 'The type'], ['scope-case', 'The scope'], ['subject-case', 'The description']].forEach(([name, label]) => {
+    const rule = getRule(rules, name);
+    if (rule) lines.push(`${label} ${describeCase(rule)}`);
+  });
+
+  const fullStop = getRule(rules, 'subject-full-stop');
+  if (fullStop) {
+    lines.push(`${fullStop.applicable === 'always' ? 'End' : 'Do not end'} the description with "${fullStop.value || '.'}"`);
+  }
+
+  return lines;
+}
@@ -5,53 +5,141 @@
 
 import { execSync } from 'child_process';
 import fs from 'fs';
+import path from 'path';
 import readline from 'readline';
+import { getStatus } from './git.js';
+
+// Built-in sensitive names, matched anywhere in the path
+const DEFAULT_SENSITIVE_PATTERNS = [
+  '.env',
+  '.env.local',
+  '.env.development',
+  '.env.production',
+  '.env.test',
+  'credentials.json',
+  'secrets.json',
+  'id_rsa',
+  'id_dsa',
+  'key.pem',
+  'cert.key',
+  'firebase-adminsdk'
+];
+
+// Files that are exceptions (safe to commit)
+const DEFAULT_EXCEPTIONS = [
+  '.env.local.example',
+  '.env.example',
+  '.env.sample',
+  '.env.template'
+];
+
+/**
+ * Convert a gitignore-style glob into a regular expression
+ * Patterns without a slash match the file name in any directory
+ * @param {string} pattern Glob such as "*.pem", "config/**\/secrets.yml" or "key?.json"
+ * @returns {RegExp} Expression tested against the repository-relative path
+ */
+export function globToRegex(pattern) {
+  const anchored = pattern.includes('/');
+  const source = pattern
+    .replace(/^\//, '')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/' ) return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`${anchored ? '^' : '(^|/)'}${source}$`);
+}
+
+/**
+ * Split pattern lines into include and exclude (leading !) globs
+ * @param {Array<string>} lines Pattern lines
+ * @param {Object} target { include, exclude, globs } to append to
+ */
+function addPatterns(lines, target) {
+  lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .forEach(line => {
+      if (line.startsWith('!')) {
+        target.exclude.push(globToRegex(line.slice(1)));
+        target.globs.exclude.push(line.slice(1));
+      } else {
+        target.include.push(globToRegex(line));
+        target.globs.include.push(line);
+      }
+    });
+}
 
 /**
- * Checks for sensitive files in staged changes
+ * Get the sensitive file rules for the current repository
+ * Built-in names are extended by globs from .gitignore-sensitive and PUSHSCRIPT_SENSITIVE_FILES
+ * (comma separated, "!" excludes). A PUSHSCRIPT_SENSITIVE_FILES value starting with
+ * "override:" replaces every other rule
+ * @returns {Object} { useDefaults, include: Array<RegExp>, exclude: Array<RegExp>, globs } with globs
+ * holding the include and exclude patterns as written
+ */
+export function getSensitivePatterns() {
+  const rules = { useDefaults: true, include: [], exclude: [], globs: { include: [], exclude: [] } };
+  const envPatterns = process.env.PUSHSCRIPT_SENSITIVE_FILES || '';
+
+  if (envPatterns.startsWith('override:')) {
+    rules.useDefaults = false;
+    addPatterns(envPatterns.slice('override:'.length).split(','), rules);
+    return rules;
+  }
+
+  const sensitiveFilePath = path.join(process.cwd(), '.gitignore-sensitive');
+  if (fs.existsSync(sensitiveFilePath)) {
+    addPatterns(fs.readFileSync(sensitiveFilePath, 'utf8').split('\n'), rules);
+  }
+  addPatterns(envPatterns.split(','), rules);
+
+  return rules;
+}
+
+/**
+ * Decide whether a path is sensitive under the given rules
+ * @param {string} file Repository-relative path
+ * @param {Object} rules Rules from getSensitivePatterns
+ * @returns {boolean} True if the file must not be committed
+ */
+export function isSensitiveFile(file, rules = getSensitivePatterns()) {
+  if (rules.exclude.some(pattern => pattern.test(file))) {
+    return false;
+  }
+  if (rules.include.some(pattern => pattern.test(file))) {
+    return true;
+  }
+  if (!rules.useDefaults || DEFAULT_EXCEPTIONS.some(exception => file.endsWith(exception))) {
+    return false;
+  }
+  return DEFAULT_SENSITIVE_PATTERNS.some(pattern => file.includes(pattern));
+}
+
+/**
+ * List files that match the sensitive file rules
+ * @param {Array<string>} files Files to check (defaults to every changed file, staged or not)
+ * @returns {Array<string>} Sensitive files, empty if none found
+ */
+export function findSensitiveFiles(files = getStatus().entries.map(entry => entry.path)) {
+  const rules = getSensitivePatterns();
+  return files.filter(file => isSensitiveFile(file, rules));
+}
+
+/**
+ * Checks for sensitive files in the changes about to be committed
+ * @param {Array<string>} files Files to check (defaults to every changed file, staged or not)
  * @returns {Array} List of detected sensitive files, empty if none found
+ * @throws {Error} When sensitive files would be committed
  */
-export function checkSensitiveFiles() {
-  // List of sensitive files and patterns to check
-  const sensitivePatterns = [
-    '.env',
-    '.env.local',
-    '.env.development',
-    '.env.production',
-    '.env.test',
-    'credentials.json',
-    'secrets.json',
-    'id_rsa',
-    'id_dsa',
-    'key.pem',
-    'cert.key',
-    'firebase-adminsdk'
-  ];
-  
-  // List of files that are exceptions (safe to commit)
-  const exceptions = [
-    '.env.local.example',
-    '.env.example',
-    '.env.sample',
-    '.env.template'
-  ];
-
-  // Get the git status
-  const status = execSync('git status --porcelain').toString();
-  const stagedFiles = status
-    .split('\n')
-    .filter(line => line.length > 0)
-    .map(line => line.slice(3));
-
-  // Check each staged file against sensitive patterns, but exclude exceptions
-  const sensitiveFiles = stagedFiles.filter(file => {
-    // First check if the file is in the exceptions list
-    if (exceptions.some(exception => file.endsWith(exception))) {
-      return false;
-    }
-    // Otherwise check if it matches any sensitive pattern
-    return sensitivePatterns.some(pattern => file.includes(pattern));
-  });
+export function checkSensitiveFiles(files) {
+  const sensitiveFiles = findSensitiveFiles(files);
 
   if (sensitiveFiles.length > 0) {
     console.error('\x1b[31mError: Attempting to commit sensitive files:\x1b[0m');
@@ -59,12 +147,49 @@ export function checkSensitiveFiles() {
     console.error('\nPlease remove these files from git:');
     console.error('1. Add them to .gitignore');
     console.error('2. Run: git rm --cached <file>');
-    process.exit(1);
+    console.error('Or list them with a leading "!" in .gitignore-sensitive if they are safe to commit.');
+    throw new Error('Sensitive files detected');
   }
   
   return sensitiveFiles;
 }
 
+// Environment variables whose values must never be printed
+const SECRET_KEY_PATTERN = /(API_KEY|TOKEN|SECRET|PASSWORD)$/;
+
+/**
+ * Whether an environment variable holds a secret
+ * @param {string} key Environment variable name
+ * @returns {boolean} True for API keys, tokens, secrets and passwords
+ */
+export function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * Mask a secret for display, keeping only its length and last characters
+ * @param {string} value Secret value
+ * @returns {string} Redacted value, e.g. "****************wxyz (40 chars)"
+ */
+export function redactSecret(value) {
+  if (!value) return '(not set)';
+  // Short values would be given away by their last characters
+  if (value.length < 16) return `**** (${value.length} chars)`;
+  return `${'*'.repeat(16)}${value.slice(-4)} (${value.length} chars)`;
+}
+
+/**
+ * Remove every secret held in the environment from a piece of text, e.g. an error message
+ * that echoes a request URL or header
+ * @param {string} text Text to clean
+ * @returns {string} Text with secret values replaced by [REDACTED]
+ */
+export function redactSecrets(text) {
+  return Object.entries(process.env)
+    .filter(([key, value]) => isSecretKey(key) && value && value.length >= 8)
+    .reduce((result, [, value]) => result.split(value).join('[REDACTED]'), String(text));
+}
+
 /**
  * Basic check for known vulnerabilities in dependencies using npm audit
  * @returns {Object|null} Vulnerability information or null if no vulnerabilities found
@@ -0,0 +1,363 @@
+/**
+ * Split staged changes into several commits for PushScript (`push --split`)
+ * Staged hunks are grouped by workspace package, component, directory and kind of file, an
+ * optional model pass regroups them into logical changesets, and each group becomes its own commit
+ */
+
+import { execSync, spawnSync } from 'child_process';
+import { callLLM } from './llm.js';
+import { getProviderChain, getProviderConfig, hasRequiredCredentials } from './providers.js';
+import { estimateTokens, getTokenBudget } from './diff.js';
+import { categorizeChanges } from './git.js';
+import { getPackageForFile, getWorkspacePackages } from './workspace.js';
+import { validateCommitMessage } from './message.js';
+import { ask, editInEditor } from './review.js';
+import { colorize, logError, logInfo, logSuccess, logTitle, logWarning } from './formatting.js';
+
+// Files grouped by what they are rather than where they live; earlier kinds are committed first
+const FILE_KINDS = [
+  { name: 'dependencies', pattern: /(^|\/)(package\.json|package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml)$/ },
+  { name: 'ci', pattern: /^\.(github|gitlab|circleci)\/|(^|\/)\.gitlab-ci\.yml$/ },
+  { name: 'tests', pattern: /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$/ },
+  { name: 'docs', pattern: /(^|\/)docs?\/|\.(md|mdx|rst|txt)$/i }
+];
+
+// Lines of each hunk shown to the model when grouping, if the budget allows
+const PREVIEW_LINES = 6;
+
+// Header lines of file diffs that cannot be split into hunks
+const WHOLE_FILE_PATTERN = /^(new file mode|deleted file mode|rename from|copy from|old mode|GIT binary patch|Binary files)/m;
+
+/**
+ * Split a staged diff into units that can be committed separately: single hunks of modified
+ * text files, whole files for everything else (new, deleted, renamed and binary files)
+ * @param {string} diffText Output of `git diff --cached --binary`
+ * @returns {Array<Object>} Units as { id, path, header, hunks }, header and hunks as raw patch text
+ */
+export function getSplitUnits(diffText) {
+  const units = [];
+  diffText.split(/^(?=diff --git )/m).filter(chunk => chunk.startsWith('diff --git ')).forEach(chunk => {
+    const match = chunk.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?\n/);
+    const file = match ? match[2] : chunk.split('\n')[0].slice('diff --git '.length);
+    const [header, ...hunks] = chunk.split(/^(?=@@ )/m);
+
+    if (hunks.length > 1 && !WHOLE_FILE_PATTERN.test(header)) {
+      hunks.forEach(hunk => units.push({ id: units.length + 1, path: file, header, hunks: [hunk] }));
+    } else {
+      units.push({ id: units.length + 1, path: file, header, hunks });
+    }
+  });
+  return units;
+}
+
+/**
+ * Build a patch from units, merging the hunks of each file under one header
+ * @param {Array<Object>} units Units from getSplitUnits
+ * @returns {string} Patch for `git apply`
+ */
+export function buildPatch(units) {
+  const files = new Map();
+  [...units].sort((a, b) => a.id - b.id).forEach(unit => {
+    const file = files.get(unit.path) || { header: unit.header, hunks: [] };
+    file.hunks.push(...unit.hunks);
+    files.set(unit.path, file);
+  });
+  return [...files.values()].map(file => file.header + file.hunks.join('')).join('');
+}
+
+/**
+ * Name of the heuristic group a file belongs to
+ * @param {string} file Repository-relative path
+ * @param {Array<Object>} packages Workspace packages from getWorkspacePackages
+ * @returns {string} Group name, e.g. "package api", "component Button", "docs" or "src/cli"
+ */
+function getGroupName(file, packages) {
+  const pkg = getPackageForFile(file, packages);
+  if (pkg) return `package ${pkg.name}`;
+
+  const { components, features } = categorizeChanges([{ status: 'M', file }]);
+  if (components.size > 0) return `component ${[...components][0]}`;
+  if (features.size > 0) return `feature ${[...features][0]}`;
+
+  const kind = FILE_KINDS.find(({ pattern }) => pattern.test(file));
+  if (kind) return kind.name;
+
+  const parts = file.split('/');
+  if (parts.length === 1) return 'root files';
+  // src/ alone says little; its subdirectories are the real areas
+  return parts.slice(0, parts[0] === 'src' && parts.length > 2 ? 2 : 1).join('/');
+}
+
+/**
+ * Group units by package, component, kind of file and directory
+ * @param {Array<Object>} units Units from getSplitUnits
+ * @returns {Array<Object>} Groups as { title, units }, dependencies first, tests and docs last
+ */
+export function groupUnits(units) {
+  const { packages } = getWorkspacePackages();
+  const groups = new Map();
+  units.forEach(unit => {
+    const title = getGroupName(unit.path, packages);
+    if (!groups.has(title)) groups.set(title, { title, units: [] });
+    groups.get(title).units.push(unit);
+  });
+
+  const rank = (title) => ({ dependencies: 0, tests: 2, docs: 3 }[title] ?? 1);
+  return [...groups.values()].sort((a, b) => rank(a.title) - rank(b.title));
+}
+
+/**
+ * Describe the units for the grouping prompt
+ * @param {Array<Object>} units Units from getSplitUnits
+ * @param {number} previewLines Changed lines shown per unit
+ * @returns {string} One entry per unit
+ */
+function describeUnits(units, previewLines) {
+  return units.map(unit => {
+    const lines = unit.hunks.join('').split('\n');
+    const label = unit.hunks.length === 1 ? lines[0].replace(/^(@@[^@]*@@).*$/, '$1') : 'whole file';
+    const changed = lines
+      .filter(line => /^[+-]/.test(line))
+      .slice(0, previewLines)
+      .map(line => `    ${line.slice(0, 120)}`);
+    return [`[${unit.id}] ${unit.path} ${WHOLE_FILE_PATTERN.test(unit.header) ? '(added, deleted, renamed or binary)' : label}`, ...changed].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Ask the model to regroup the units into logical commits
+ * @param {Array<Object>} units Units from getSplitUnits
+ * @param {Array<Object>} groups Heuristic groups from groupUnits
+ * @returns {Promise<Array<Object>|null>} Groups as { title, units } in commit order, or null when the model gave no usable answer
+ */
+async function groupUnitsWithLLM(units, groups) {
+  const budget = getTokenBudget(getProviderConfig());
+  const suggested = groups.map(group => `- ${group.title}: ${group.units.map(unit => unit.id).join(', ')}`).join('\n');
+  const buildPrompt = (previewLines) => `These staged changes were made together but should become a series of small, logical commits.
+Each change has an id. Put changes that belong together in the same group (a feature and its tests,
+a rename and its callers) and order the groups so each commit builds on the ones before it.
+
+Changes:
+${describeUnits(units, previewLines)}
+
+Grouping by location, as a starting point:
+${suggested}
+
+Every id must be in exactly one group. Reply with JSON only, in this form:
+{"groups": [{"title": "short description", "changes": [1, 2]}]}`;
+
+  let prompt = buildPrompt(PREVIEW_LINES);
+  if (estimateTokens(prompt) > budget) {
+    prompt = buildPrompt(0);
+  }
+  if (estimateTokens(prompt) > budget) {
+    logWarning('Too many changes to group with the model; using the grouping by location');
+    return null;
+  }
+
+  try {
+    logInfo('Asking the model to group the changes...');
+    const { text } = await callLLM(prompt, Math.min(1000, 200 + units.length * 10), { purpose: 'split grouping request' });
+    const json = text.match(/\{[\s\S]*\}/);
+    const answer = JSON.parse(json ? json[0] : text);
+
+    const byId = new Map(units.map(unit => [unit.id, unit]));
+    const seen = new Set();
+    const result = (answer.groups || []).map(group => ({
+      title: String(group.title || 'changes'),
+      units: (group.changes || []).map(Number).filter(id => byId.has(id) && !seen.has(id) && seen.add(id)).map(id => byId.get(id))
+    })).filter(group => group.units.length > 0);
+
+    // Anything the model left out still has to be committed
+    const missing = units.filter(unit => !seen.has(unit.id));
+    if (missing.length > 0) {
+      result.push({ title: 'remaining changes', units: missing });
+    }
+    return result.length > 0 ? result : null;
+  } catch (error) {
+    logWarning(`Could not group the changes with the model, using the grouping by location: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Staged changes (from getStagedChanges) that a group touches
+ * @param {Object} group Group with units
+ * @param {Array} changes Array of changes from getStagedChanges()
+ * @returns {Array} Changes for the group's files
+ */
+function getGroupChanges(group, changes) {
+  const paths = new Set(group.units.map(unit => unit.path));
+  return changes.filter(change => paths.has(change.file));
+}
+
+/**
+ * One-line summary of a group's files, e.g. "src/a.js (2 hunks), README.md"
+ * @param {Object} group Group with units
+ * @returns {string} Summary
+ */
+function describeGroupFiles(group) {
+  const hunks = new Map();
+  group.units.forEach(unit => hunks.set(unit.path, (hunks.get(unit.path) || 0) + (unit.hunks.length === 1 && !WHOLE_FILE_PATTERN.test(unit.header) ? 1 : 0)));
+  return [...hunks.entries()].map(([file, count]) => (count > 1 ? `${file} (${count} hunks)` : file)).join(', ');
+}
+
+/**
+ * Print the proposed commits
+ * @param {Array<Object>} groups Groups with messages
+ */
+function displayPlan(groups) {
+  logTitle('Proposed commits:');
+  groups.forEach((group, index) => {
+    const [header, ...body] = group.message.split('\n');
+    console.log(`  ${index + 1}) ${colorize(header, 'white')}`);
+    body.filter(line => line.trim()).forEach(line => console.log(`       ${colorize(line, 'dim')}`));
+    console.log(`       ${colorize(describeGroupFiles(group), 'dim')}`);
+  });
+  console.log(colorize(
+    '\n  y create   e <n> edit message   m <n> <m> merge m into n   o <order> reorder, e.g. "o 2 1 3"   r <n> [hint] regenerate   d <n> show diff   q cancel',
+    'dim'
+  ));
+}
+
+/**
+ * Let the user edit, merge and reorder the proposed commits
+ * @param {Array<Object>} groups Groups with messages
+ * @param {Function} describe Writes the message of a group: (group, hint) => Promise<string>
+ * @returns {Promise<Array<Object>|null>} Groups to commit in order, or null when cancelled
+ */
+async function reviewPlan(groups, describe) {
+  // Turns the 1-based group numbers typed by the user into indexes, null if any is out of range
+  const toIndexes = (values) => {
+    const indexes = values.map(value => parseInt(value, 10) - 1);
+    return indexes.every(index => index >= 0 && index < groups.length) ? indexes : null;
+  };
+
+  for (;;) {
+    displayPlan(groups);
+    const [action = '', ...rest] = (await ask('\nChoose an action: ')).split(/\s+/);
+
+    if (action === '' || action === 'y') {
+      return groups;
+    } else if (action === 'q' || action === 'n') {
+      return null;
+    } else if (action === 'e') {
+      const [index] = toIndexes(rest.slice(0, 1)) || [];
+      if (index === undefined) {
+        logWarning('Give the number of the commit to edit, e.g. "e 2"');
+        continue;
+      }
+      const edited = editInEditor(groups[index].message);
+      const { valid, errors } = validateCommitMessage(edited);
+      if (!valid) {
+        logWarning(`Message not changed: ${errors.join('; ')}`);
+      } else {
+        groups[index].message = edited;
+      }
+    } else if (action === 'm') {
+      const indexes = toIndexes(rest.slice(0, 2));
+      if (!indexes || rest.length < 2 || indexes[0] === indexes[1]) {
+        logWarning('Give two different commit numbers, e.g. "m 1 3" merges commit 3 into commit 1');
+        continue;
+      }
+      const [target, source] = indexes;
+      groups[target].units.push(...groups[source].units);
+      groups[target].message = await describe(groups[target], '');
+      groups.splice(source, 1);
+    } else if (action === 'o') {
+      const order = toIndexes(rest);
+      if (!order || new Set(order).size !== groups.length || order.length !== groups.length) {
+        logWarning(`List every commit number once in the new order, e.g. "o ${groups.map((_, index) => index + 1).reverse().join(' ')}"`);
+        continue;
+      }
+      groups = order.map(index => groups[index]);
+    } else if (action === 'r') {
+      const [index] = toIndexes(rest.slice(0, 1)) || [];
+      if (index === undefined) {
+        logWarning('Give the number of the commit to regenerate, e.g. "r 2 mention the migration"');
+        continue;
+      }
+      groups[index].message = await describe(groups[index], rest.slice(1).join(' '));
+    } else if (action === 'd') {
+      const [index] = toIndexes(rest.slice(0, 1)) || [];
+      if (index === undefined) {
+        logWarning('Give the number of the commit to show, e.g. "d 2"');
+        continue;
+      }
+      spawnSync('git', ['apply', '--stat', '--summary', '-'], { input: buildPatch(groups[index].units), stdio: ['pipe', 'inherit', 'inherit'] });
+      console.log(buildPatch(groups[index].units));
+    } else {
+      logWarning(`Unknown action "${action}"`);
+    }
+  }
+}
+
+/**
+ * Commit the groups in order, one commit each
+ * Starts from an index matching HEAD and applies each group's patch to it. If a step fails, the
+ * changes not yet committed are staged again as they were
+ * @param {Array<Object>} groups Groups with messages
+ * @returns {Array<string>} Messages of the commits created
+ * @throws {Error} When a patch does not apply or git commit fails
+ */
+function createCommits(groups) {
+  const stagedTree = execSync('git write-tree').toString().trim();
+  const hasHead = spawnSync('git', ['rev-parse', '--verify', '-q', 'HEAD']).status === 0;
+  execSync(hasHead ? 'git read-tree HEAD' : 'git read-tree --empty');
+
+  const created = [];
+  try {
+    groups.forEach(group => {
+      execSync('git apply --cached --binary -', { input: buildPatch(group.units), stdio: ['pipe', 'pipe', 'pipe'] });
+      execSync('git commit -q -F -', { input: group.message, stdio: ['pipe', 'pipe', 'pipe'] });
+      created.push(group.message);
+      logSuccess(`Created commit ${created.length}/${groups.length}: ${group.message.split('\n')[0]}`);
+    });
+  } catch (error) {
+    execSync(`git read-tree ${stagedTree}`);
+    logError(`Stopped after ${created.length} of ${groups.length} commits; the changes not committed are staged again`);
+    if (error.stderr) logError(error.stderr.toString().trim());
+    throw new Error('Failed to create the split commits');
+  }
+
+  // The commits together must add up to what was staged; anything left over stays staged
+  if (execSync('git write-tree').toString().trim() !== stagedTree) {
+    execSync(`git read-tree ${stagedTree}`);
+    logWarning('Some staged changes were not part of any commit and are still staged');
+  }
+  return created;
+}
+
+/**
+ * Split the staged changes into several commits and create them
+ * @param {Array} changes Array of changes from getStagedChanges()
+ * @param {Object} options Split options
+ * @param {boolean} options.interactive Let the user review the plan
+ * @param {Function} options.generate Writes a commit message: (changes, diff, hint) => Promise<Array<string>>
+ * @returns {Promise<Array<string>>} Messages of the commits created, empty when cancelled
+ */
+export async function commitInGroups(changes, { interactive, generate }) {
+  const diff = execSync('git diff --cached --binary', { maxBuffer: 64 * 1024 * 1024 }).toString();
+  const units = getSplitUnits(diff);
+
+  let groups = groupUnits(units);
+  if (units.length > 1 && getProviderChain().some(hasRequiredCredentials)) {
+    groups = await groupUnitsWithLLM(units, groups) || groups;
+  }
+  logInfo(`Split ${units.length} staged change${units.length === 1 ? '' : 's'} into ${groups.length} commit${groups.length === 1 ? '' : 's'}`);
+
+  const describe = async (group, hint) => {
+    const [message] = await generate(getGroupChanges(group, changes), buildPatch(group.units), hint);
+    return message;
+  };
+  for (const group of groups) {
+    group.message = await describe(group, '');
+  }
+
+  const plan = interactive ? await reviewPlan(groups, describe) : groups;
+  if (!plan) {
+    logWarning('Split cancelled by user');
+    return [];
+  }
+  return createCommits(plan);
+}
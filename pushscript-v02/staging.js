@@ -0,0 +1,150 @@
+/**
+ * Staging for PushScript
+ * Decides what goes into a commit: what is already staged, the given paths, everything (`git add -A`,
+ * which unlike the old `git add .` also covers changes outside the current directory) or files and
+ * hunks picked interactively
+ */
+
+import { execFileSync, execSync, spawnSync } from 'child_process';
+import { getStatus } from './git.js';
+import { ask } from './review.js';
+import { logInfo, logWarning } from './formatting.js';
+
+const STAGING_MODES = ['auto', 'staged', 'all', 'pick'];
+
+/**
+ * Pathspec for a repository-relative path from `git status`, which works from any subdirectory
+ * @param {string} file Repository-relative path
+ * @returns {string} Pathspec such as ":(top,literal)src/a.js"
+ */
+function topPath(file) {
+  return `:(top,literal)${file}`;
+}
+
+/**
+ * Whether anything is staged
+ * @returns {boolean} True if the index differs from HEAD
+ */
+export function hasStagedChanges() {
+  try {
+    execSync('git diff --cached --quiet', { stdio: 'ignore' });
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Changed files, staged or not, including untracked ones
+ * @param {Array<string>} paths Limit to these paths (all files when empty)
+ * @returns {Array<Object>} Status entries from getStatus, with file set to the path that gets committed
+ */
+export function listChangedFiles(paths = []) {
+  return getStatus(paths).entries.map(entry => ({ ...entry, file: entry.path }));
+}
+
+/**
+ * Staging mode for a commit
+ * auto commits what is staged, or stages everything when nothing is
+ * @param {Object} options { stage, paths } from the commit options
+ * @returns {string} 'paths', 'staged', 'all' or 'pick'
+ * @throws {Error} When the mode is not known
+ */
+export function getStagingMode({ stage, paths = [] } = {}) {
+  if (paths.length > 0) {
+    return 'paths';
+  }
+
+  const mode = (stage || process.env.PUSHSCRIPT_STAGE || 'auto').toLowerCase();
+  if (!STAGING_MODES.includes(mode)) {
+    throw new Error(`Unknown staging mode "${mode}", use ${STAGING_MODES.join(', ')}`);
+  }
+  if (mode === 'auto') {
+    return hasStagedChanges() ? 'staged' : 'all';
+  }
+  return mode;
+}
+
+/**
+ * Files the mode will stage, so they can be checked before the index is touched
+ * @param {string} mode Mode from getStagingMode
+ * @param {Array<string>} paths Paths for the 'paths' mode
+ * @returns {Array<string>} Files about to be staged; empty for modes that leave staging to the user
+ */
+export function getFilesToStage(mode, paths = []) {
+  if (mode === 'all' || mode === 'paths') {
+    return listChangedFiles(mode === 'paths' ? paths : []).map(change => change.file);
+  }
+  return [];
+}
+
+/**
+ * Let the user pick files, and hunks within them, to stage
+ * @returns {Promise<void>}
+ */
+async function pickChanges() {
+  const candidates = listChangedFiles().filter(change => change.unstaged || change.untracked);
+  if (candidates.length === 0) {
+    logInfo('Every change is already staged');
+    return;
+  }
+
+  logInfo('Choose what to stage: y stage   n skip   p pick hunks   d show diff   a stage the rest   q stop');
+  for (let i = 0; i < candidates.length; i++) {
+    const { index, worktree, file, untracked, submodule } = candidates[i];
+    // Submodules only change which commit they point at, there are no hunks to pick
+    const hunks = !untracked && !submodule;
+    const answer = (await ask(`${index}${worktree} ${file}${submodule ? ' (submodule)' : ''} [y,n,${hunks ? 'p,' : ''}${untracked ? '' : 'd,'}a,q]? `)).toLowerCase();
+
+    if (answer === 'y') {
+      execFileSync('git', ['add', '-A', '--', topPath(file)]);
+    } else if (answer === 'p' && hunks) {
+      spawnSync('git', ['add', '--patch', '--', topPath(file)], { stdio: 'inherit' });
+    } else if (answer === 'd' && !untracked) {
+      spawnSync('git', ['diff', '--', topPath(file)], { stdio: 'inherit' });
+      i--;
+    } else if (answer === 'a') {
+      execFileSync('git', ['add', '-A', '--', ...candidates.slice(i).map(change => topPath(change.file))]);
+      return;
+    } else if (answer === 'q') {
+      return;
+    } else if (answer !== 'n' && answer !== '') {
+      logWarning(`Unknown answer "${answer}"`);
+      i--;
+    }
+  }
+}
+
+/**
+ * Stage the changes for a commit
+ * @param {string} mode Mode from getStagingMode
+ * @param {Object} options { paths, interactive }
+ * @returns {Promise<void>}
+ * @throws {Error} When picking is asked for without a terminal, or when paths are given while
+ * changes outside them are staged
+ */
+export async function stageChanges(mode, { paths = [], interactive = false } = {}) {
+  if (mode === 'all') {
+    logInfo('Staging changes...');
+    execSync('git add -A');
+  } else if (mode === 'paths') {
+    // The whole index is committed, so changes staged outside the paths would slip in
+    const inPaths = new Set(listChangedFiles(paths).map(change => change.file));
+    const others = listChangedFiles().filter(change => change.staged && !inPaths.has(change.file));
+    if (others.length > 0) {
+      throw new Error(`Changes outside the given paths are staged (${others.map(change => change.file).join(', ')}); commit or unstage them first (git restore --staged <file>)`);
+    }
+    logInfo(`Staging ${paths.join(', ')}...`);
+    execFileSync('git', ['add', '-A', '--', ...paths]);
+  } else if (mode === 'pick') {
+    if (!interactive) {
+      throw new Error('Picking files to stage needs a terminal; pass paths or --all instead');
+    }
+    await pickChanges();
+  }
+
+  const leftOut = listChangedFiles().filter(change => change.unstaged || change.untracked).length;
+  if (leftOut > 0) {
+    logInfo(`${leftOut} file${leftOut === 1 ? ' has' : 's have'} changes that are not staged and will not be committed (--all to include everything)`);
+  }
+}
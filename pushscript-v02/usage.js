@@ -0,0 +1,259 @@
+/**
+ * Token usage and cost ledger for PushScript
+ * Every answered provider call is appended to .git/pushscript/usage.jsonl with its tokens,
+ * estimated cost, latency and purpose. `push usage` summarises the ledger
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { loadConfigFiles } from './config.js';
+import { colorize, logInfo, logTitle, logWarning } from './formatting.js';
+
+// USD per million prompt and completion tokens; local and unknown models have no price
+const MODEL_PRICES = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'llama-3.3-70b-versatile': { prompt: 0.59, completion: 0.79 },
+  'llama-3.1-8b-instant': { prompt: 0.05, completion: 0.08 },
+  'claude-sonnet-4-5': { prompt: 3, completion: 15 },
+  'claude-haiku-4-5': { prompt: 1, completion: 5 },
+  'gemini-2.0-flash': { prompt: 0.1, completion: 0.4 },
+  'gemini-2.5-flash': { prompt: 0.3, completion: 2.5 }
+};
+
+// Providers that run on the user's own hardware
+const FREE_PROVIDERS = ['local'];
+
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Parse PUSHSCRIPT_MODEL_PRICES, e.g. "my-model=0.5/1.5,gpt-4o=2.5/10" (USD per million prompt/completion tokens)
+ * @param {string} spec Comma-separated entries
+ * @returns {Object} Map of model names to { prompt, completion }
+ */
+function parsePriceList(spec) {
+  const prices = {};
+  (spec || '').split(',').forEach(entry => {
+    const separatorIndex = entry.lastIndexOf('=');
+    if (separatorIndex === -1) return;
+    const name = entry.slice(0, separatorIndex).trim();
+    const [prompt, completion = prompt] = entry.slice(separatorIndex + 1).split('/').map(Number);
+    if (name && prompt >= 0 && completion >= 0) {
+      prices[name] = { prompt, completion };
+    }
+  });
+  return prices;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} provider Provider name
+ * @param {string|null} model Model name
+ * @param {number|null} promptTokens Prompt tokens
+ * @param {number|null} completionTokens Completion tokens
+ * @returns {number|null} Cost in USD, or null when the price or token counts are unknown
+ */
+export function estimateCost(provider, model, promptTokens, completionTokens) {
+  const price = parsePriceList(process.env.PUSHSCRIPT_MODEL_PRICES)[model] || MODEL_PRICES[model];
+  if (!price) {
+    return FREE_PROVIDERS.includes(provider) ? 0 : null;
+  }
+  if (promptTokens === null || completionTokens === null) {
+    return null;
+  }
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+/**
+ * Location of the ledger, from PUSHSCRIPT_USAGE_LEDGER or .git/pushscript/usage.jsonl
+ * Point several repositories at one file to see their combined usage
+ * @returns {string|null} Absolute path, or null when the ledger is disabled or outside a repository
+ */
+export function getLedgerPath() {
+  const configured = process.env.PUSHSCRIPT_USAGE_LEDGER;
+  if (configured === 'off' || configured === '0') {
+    return null;
+  }
+  if (configured) {
+    return path.resolve(configured);
+  }
+
+  try {
+    const file = execSync('git rev-parse --git-path pushscript/usage.jsonl', { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+    return path.resolve(file);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Name recorded as the user of a call
+ * @returns {string} git user.email, falling back to user.name and then the OS user
+ */
+function getUser() {
+  for (const key of ['user.email', 'user.name']) {
+    try {
+      const value = execSync(`git config ${key}`, { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+      if (value) return value;
+    } catch (error) {
+      // Not set, try the next one
+    }
+  }
+  return process.env.USER || process.env.USERNAME || 'unknown';
+}
+
+/**
+ * Append a provider call to the ledger
+ * Failures are ignored; the ledger must never stop a commit
+ * @param {Object} call { provider, model, purpose, promptTokens, completionTokens, latencyMs }
+ */
+export function recordUsage(call) {
+  const file = getLedgerPath();
+  if (!file) return;
+
+  const { provider, model, purpose, promptTokens = null, completionTokens = null, latencyMs } = call;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    user: getUser(),
+    provider,
+    model,
+    purpose,
+    promptTokens,
+    completionTokens,
+    cost: estimateCost(provider, model, promptTokens, completionTokens),
+    latencyMs
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    // Read-only git directories just run without a ledger
+  }
+}
+
+/**
+ * Read ledger entries
+ * @param {string} file Ledger path
+ * @returns {Array<Object>} Entries, skipping lines that are not valid JSON
+ */
+export function readLedger(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.timestamp);
+}
+
+/**
+ * Total ledger entries grouped by a field
+ * @param {Array<Object>} entries Ledger entries
+ * @param {Function} keyOf Returns the group name of an entry
+ * @returns {Array<Object>} Groups as { key, calls, promptTokens, completionTokens, cost, unpriced, latencyMs }, sorted by key
+ */
+export function summarizeUsage(entries, keyOf) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    const group = groups.get(key) || { key, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0, latencyMs: 0 };
+    group.calls++;
+    group.promptTokens += entry.promptTokens || 0;
+    group.completionTokens += entry.completionTokens || 0;
+    group.latencyMs += entry.latencyMs || 0;
+    if (typeof entry.cost === 'number') {
+      group.cost += entry.cost;
+    } else {
+      group.unpriced++;
+    }
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Print one summary table
+ * @param {string} title Table title
+ * @param {Array<Object>} groups Groups from summarizeUsage
+ */
+function printSummary(title, groups) {
+  logTitle(title);
+  const width = Math.max(...groups.map(group => group.key.length), 5);
+  console.log(colorize(`  ${'Name'.padEnd(width)}  ${'Calls'.padStart(6)}  ${'Prompt'.padStart(10)}  ${'Output'.padStart(9)}  ${'Cost'.padStart(10)}  ${'Avg ms'.padStart(7)}`, 'dim'));
+  groups.forEach(group => {
+    // A trailing + marks totals that leave out calls without a known price
+    const cost = `$${group.cost.toFixed(4)}${group.unpriced > 0 ? '+' : ' '}`;
+    console.log(`  ${group.key.padEnd(width)}  ${String(group.calls).padStart(6)}  ${String(group.promptTokens).padStart(10)}  ${String(group.completionTokens).padStart(9)}  ${cost.padStart(10)}  ${String(Math.round(group.latencyMs / group.calls)).padStart(7)}`);
+  });
+}
+
+/**
+ * `push usage [--days N] [--json]`
+ * Summarises the ledger by day, provider and user for the last N days (default 30, 0 for all)
+ * @param {Array<string>} args Command arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runUsageCommand(args = []) {
+  await loadConfigFiles();
+
+  const daysIndex = args.indexOf('--days');
+  const days = daysIndex === -1 ? DEFAULT_REPORT_DAYS : parseInt(args[daysIndex + 1], 10);
+  if (Number.isNaN(days) || days < 0) {
+    logWarning('--days needs a number of days, e.g. --days 7 (0 for the whole ledger)');
+    return 1;
+  }
+
+  const file = getLedgerPath();
+  if (!file) {
+    logWarning('The usage ledger is disabled (PUSHSCRIPT_USAGE_LEDGER) or this is not a git repository');
+    return 1;
+  }
+
+  const since = days === 0 ? 0 : Date.now() - days * 24 * 60 * 60 * 1000;
+  const entries = readLedger(file).filter(entry => Date.parse(entry.timestamp) >= since);
+
+  const report = {
+    ledger: file,
+    days,
+    total: summarizeUsage(entries, () => 'total')[0] || null,
+    byDay: summarizeUsage(entries, entry => entry.timestamp.slice(0, 10)),
+    byProvider: summarizeUsage(entries, entry => `${entry.provider}${entry.model ? '/' + entry.model : ''}`),
+    byUser: summarizeUsage(entries, entry => entry.user || 'unknown'),
+    byPurpose: summarizeUsage(entries, entry => entry.purpose || 'unknown')
+  };
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  const period = days === 0 ? 'all time' : `last ${days} day${days === 1 ? '' : 's'}`;
+  if (entries.length === 0) {
+    logInfo(`No provider calls recorded (${period}) in ${file}`);
+    return 0;
+  }
+
+  logInfo(`${entries.length} provider call${entries.length === 1 ? '' : 's'} (${period}) from ${file}`);
+  printSummary('By day', report.byDay);
+  printSummary('By provider and model', report.byProvider);
+  printSummary('By user', report.byUser);
+  printSummary('By purpose', report.byPurpose);
+
+  console.log('');
+  console.log(`Total: ${report.total.calls} calls, ${report.total.promptTokens + report.total.completionTokens} tokens, $${report.total.cost.toFixed(4)}`);
+  if (report.total.unpriced > 0) {
+    console.log(colorize(`${report.total.unpriced} call(s) have no known price and are not in the cost; set PUSHSCRIPT_MODEL_PRICES to add one`, 'dim'));
+  }
+  return 0;
+}
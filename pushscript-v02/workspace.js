@@ -0,0 +1,238 @@
+/**
+ * Workspace packages for PushScript
+ * Finds the packages of a monorepo (pnpm-workspace.yaml, package.json#workspaces, lerna.json,
+ * Nx project.json/workspace.json and Turbo's apps/packages layout) and infers the commit scope
+ * from the packages a change touches
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { globToRegex } from './security.js';
+import { getAllowedScopes, getCommitRules } from './rules.js';
+
+// Where Lerna and Turbo look for packages when the repository does not say
+const LERNA_DEFAULT_PACKAGES = ['packages/*'];
+const TURBO_DEFAULT_PACKAGES = ['apps/*', 'packages/*'];
+
+// A multi-scope summary names at most this many packages; more than that gets no scope
+const MAX_SCOPES = 3;
+
+const SCOPE_STRATEGIES = ['dominant', 'multi'];
+
+// Packages per repository root, found once per run
+const packagesByRoot = new Map();
+
+/**
+ * Read a JSON file
+ * @param {string} file File path
+ * @returns {Object|null} Parsed contents, or null when missing or invalid
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the package globs of pnpm-workspace.yaml
+ * Only the `packages:` list is read, so no YAML parser is needed
+ * @param {string} file pnpm-workspace.yaml path
+ * @returns {Array<string>} Globs, including "!" exclusions
+ */
+function readPnpmWorkspace(file) {
+  const globs = [];
+  let inPackages = false;
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      return;
+    }
+    const item = line.match(/^\s+-\s*(['"]?)(.+?)\1\s*(?:#.*)?$/);
+    if (inPackages && item) {
+      globs.push(item[2]);
+    }
+  });
+  return globs;
+}
+
+/**
+ * Collect the package globs declared by the repository's workspace tools
+ * @param {string} root Repository root
+ * @returns {Object} { globs, tools } where tools names the configs that were found
+ */
+function getWorkspaceGlobs(root) {
+  const globs = [];
+  const tools = [];
+
+  const pnpmFile = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmFile)) {
+    globs.push(...readPnpmWorkspace(pnpmFile));
+    tools.push('pnpm');
+  }
+
+  const workspaces = (readJson(path.join(root, 'package.json')) || {}).workspaces;
+  // Yarn classic also allows { packages: [...], nohoist: [...] }
+  const workspaceGlobs = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+  if (workspaceGlobs.length > 0) {
+    globs.push(...workspaceGlobs);
+    tools.push('package.json workspaces');
+  }
+
+  const lerna = readJson(path.join(root, 'lerna.json'));
+  if (lerna) {
+    globs.push(...(lerna.packages || (workspaceGlobs.length > 0 ? [] : LERNA_DEFAULT_PACKAGES)));
+    tools.push('lerna');
+  }
+
+  if (globs.length === 0 && fs.existsSync(path.join(root, 'turbo.json'))) {
+    globs.push(...TURBO_DEFAULT_PACKAGES);
+    tools.push('turbo');
+  }
+
+  return { globs, tools };
+}
+
+/**
+ * List the package.json and project.json files in the repository, tracked or not (ignored files are left out)
+ * @param {string} root Repository root
+ * @returns {Array<string>} Root-relative paths
+ */
+function listManifests(root) {
+  try {
+    return execSync('git ls-files --cached --others --exclude-standard -- "package.json" "*/package.json" "project.json" "*/project.json"', {
+      cwd: root,
+      maxBuffer: 16 * 1024 * 1024,
+      stdio: ['pipe', 'pipe', 'ignore']
+    }).toString().split('\n').filter(file => file);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Name used as the scope of a package, without its npm scope ("@acme/ui" -> "ui")
+ * @param {string} name Package or project name
+ * @returns {string} Scope name
+ */
+function toScopeName(name) {
+  return name.replace(/^@[^/]+\//, '');
+}
+
+/**
+ * Find the packages of the repository
+ * @param {string} root Repository root (defaults to the current repository)
+ * @returns {Object} { packages, tools }, packages as { name, dir } with root-relative dirs
+ */
+export function getWorkspacePackages(root = getRepositoryRoot()) {
+  if (!root) return { packages: [], tools: [] };
+  if (packagesByRoot.has(root)) return packagesByRoot.get(root);
+
+  const { globs, tools } = getWorkspaceGlobs(root);
+  const include = globs.filter(glob => !glob.startsWith('!')).map(glob => globToRegex(`/${glob.replace(/\/$/, '')}`));
+  const exclude = globs.filter(glob => glob.startsWith('!')).map(glob => globToRegex(`/${glob.slice(1).replace(/\/$/, '')}`));
+  const packages = new Map();
+  const manifests = listManifests(root);
+
+  manifests
+    .filter(file => path.posix.basename(file) === 'package.json' && file.includes('/'))
+    .forEach(file => {
+      const dir = path.posix.dirname(file);
+      if (!include.some(regex => regex.test(dir)) || exclude.some(regex => regex.test(dir))) return;
+      const manifest = readJson(path.join(root, file)) || {};
+      packages.set(dir, { name: toScopeName(manifest.name || path.posix.basename(dir)), dir });
+    });
+
+  // Nx finds its projects by their project.json, wherever they are
+  const nxWorkspace = readJson(path.join(root, 'workspace.json'));
+  const isNx = fs.existsSync(path.join(root, 'nx.json')) || nxWorkspace;
+  if (isNx) {
+    manifests
+      .filter(file => path.posix.basename(file) === 'project.json' && file.includes('/'))
+      .forEach(file => {
+        const dir = path.posix.dirname(file);
+        const project = readJson(path.join(root, file)) || {};
+        packages.set(dir, { name: toScopeName(project.name || (packages.get(dir) || {}).name || path.posix.basename(dir)), dir });
+      });
+    // Older Nx workspaces list their projects in workspace.json as name -> path
+    Object.entries((nxWorkspace && nxWorkspace.projects) || {}).forEach(([name, project]) => {
+      const dir = typeof project === 'string' ? project : project.root;
+      if (dir) packages.set(dir.replace(/\/$/, ''), { name: toScopeName(name), dir: dir.replace(/\/$/, '') });
+    });
+    tools.push('nx');
+  }
+
+  const result = { packages: [...packages.values()], tools };
+  packagesByRoot.set(root, result);
+  return result;
+}
+
+/**
+ * Top-level directory of the current repository
+ * @returns {string|null} Absolute path, or null outside a repository
+ */
+function getRepositoryRoot() {
+  try {
+    return execSync('git rev-parse --show-toplevel', { stdio: ['pipe', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Package a file belongs to; nested packages win over the packages around them
+ * @param {string} file Root-relative path
+ * @param {Array<Object>} packages Packages from getWorkspacePackages
+ * @returns {Object|null} Package, or null for files outside every package
+ */
+export function getPackageForFile(file, packages) {
+  return packages
+    .filter(pkg => file.startsWith(`${pkg.dir}/`))
+    .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+}
+
+/**
+ * Strategy for commits that touch several packages, from PUSHSCRIPT_SCOPE_STRATEGY
+ * dominant picks the package with most of the changed files and lists them when none has a majority;
+ * multi always lists them
+ * @returns {string} 'dominant' or 'multi'
+ */
+export function getScopeStrategy() {
+  const strategy = (process.env.PUSHSCRIPT_SCOPE_STRATEGY || '').toLowerCase();
+  return SCOPE_STRATEGIES.includes(strategy) ? strategy : 'dominant';
+}
+
+/**
+ * Infer the commit scope from the workspace packages the changes touch
+ * Packages outside the repository's scope-enum rule are not used as scopes
+ * @param {Array} changes Array of changes from getGitStatus()
+ * @param {Array<Object>} packages Packages from getWorkspacePackages (defaults to the current repository)
+ * @returns {Object} { scope, packages } where scope is '' when none fits and packages lists { name, files }, most files first
+ */
+export function inferScope(changes, packages = getWorkspacePackages().packages) {
+  const counts = new Map();
+  changes.forEach(change => {
+    const pkg = getPackageForFile(change.file, packages);
+    if (pkg) counts.set(pkg.name, (counts.get(pkg.name) || 0) + 1);
+  });
+
+  const touched = [...counts.entries()]
+    .map(([name, files]) => ({ name, files }))
+    .sort((a, b) => b.files - a.files || a.name.localeCompare(b.name));
+
+  const allowed = getAllowedScopes(getCommitRules().rules);
+  const candidates = allowed ? touched.filter(pkg => allowed.includes(pkg.name)) : touched;
+  if (candidates.length === 0) {
+    return { scope: '', packages: touched };
+  }
+
+  const total = candidates.reduce((sum, pkg) => sum + pkg.files, 0);
+  if (candidates.length === 1 || (getScopeStrategy() === 'dominant' && candidates[0].files * 2 > total)) {
+    return { scope: candidates[0].name, packages: touched };
+  }
+
+  const scope = candidates.length <= MAX_SCOPES ? candidates.map(pkg => pkg.name).sort().join(',') : '';
+  return { scope, packages: touched };
+}
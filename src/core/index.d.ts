@@ -0,0 +1,100 @@
+/**
+ * Types for the CommonJS PushScriptsModel class (src/core/index.js)
+ * The class runs on the pushscript-v02 engine; these declarations describe what it exposes
+ */
+
+declare namespace PushScriptsModel {
+  /** A changed file, as git status reports it */
+  interface Change {
+    status: string;
+    file: string;
+    origPath?: string | null;
+    submodule?: boolean;
+  }
+
+  /** Changed files grouped by kind and by the area of the codebase they belong to */
+  interface ChangeCategories {
+    added: string[];
+    modified: string[];
+    deleted: string[];
+    renamed: string[];
+    submodules: string[];
+    components: Set<string>;
+    features: Set<string>;
+    packages: Set<string>;
+  }
+
+  interface CommitOptions {
+    /** Prompt the user; the class defaults to false */
+    interactive?: boolean;
+    /** Always ask the provider instead of reusing cached messages */
+    noCache?: boolean;
+    /** What to stage: 'auto', 'staged', 'all' or 'pick' */
+    stage?: 'auto' | 'staged' | 'all' | 'pick';
+    /** Stage and commit only these paths */
+    paths?: string[];
+    /** Split the staged changes into several commits */
+    split?: boolean;
+    /** Replace HEAD */
+    amend?: boolean;
+  }
+
+  interface PushOptions extends CommitOptions {
+    /** Move the uncommitted work onto a generated branch first */
+    newBranch?: boolean;
+    /** Ticket for the <ticket> part of the new branch name */
+    ticket?: string;
+  }
+
+  interface GenerationOptions {
+    /** Reuse messages cached for the same staged diff (default true) */
+    cache?: boolean;
+    /** Ignore cached messages but cache the new ones */
+    refresh?: boolean;
+    /** Diff to describe instead of the staged diff */
+    diff?: string;
+  }
+
+  interface SensitivePattern {
+    pattern: string;
+    original: string;
+  }
+}
+
+declare class PushScriptsModel {
+  constructor(apiKey?: string);
+
+  apiKey: string | undefined;
+  defaultBranch: string;
+
+  commit(message?: string, options?: PushScriptsModel.CommitOptions): Promise<string | null>;
+  push(message?: string, branch?: string, options?: PushScriptsModel.PushOptions): Promise<string | undefined>;
+
+  getGitStatus(): PushScriptsModel.Change[];
+  categorizeChanges(changes: PushScriptsModel.Change[]): PushScriptsModel.ChangeCategories;
+  checkSensitiveFiles(): string[];
+  checkDependencyVulnerabilities(): Promise<unknown>;
+  detectDependencyConflicts(changedFiles: string[]): Promise<unknown>;
+
+  generateAICommitMessage(changes: PushScriptsModel.Change[], options?: PushScriptsModel.GenerationOptions): Promise<string>;
+  generateCandidates(changes: PushScriptsModel.Change[], count?: number, hint?: string, options?: PushScriptsModel.GenerationOptions): Promise<string[]>;
+  generateBasicCommitMessage(changes: PushScriptsModel.Change[]): string;
+  isValidMessage(message: string): Promise<boolean>;
+
+  /** @deprecated commit() stages the changes itself */
+  addAllChanges(): void;
+  /** @deprecated Use checkSensitiveFiles() */
+  getSensitivePatterns(): { includePatterns: PushScriptsModel.SensitivePattern[]; excludePatterns: PushScriptsModel.SensitivePattern[] };
+  /** @deprecated Use checkSensitiveFiles() */
+  convertToRegex(pattern: string): string;
+  /** @deprecated Use generateCandidates() */
+  formatChangesDescription(categories: PushScriptsModel.ChangeCategories): string;
+  /** @deprecated Use generateCandidates() */
+  buildPrompt(changesDescription: string): string;
+  /** @deprecated Use generateCandidates() */
+  callLLMAPI(changesDescription: string, diff?: string): Promise<string>;
+  /** @deprecated Use isValidMessage() */
+  validateAndFormatMessage(message: string): string;
+}
+
+export = PushScriptsModel;